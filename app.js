@@ -13,6 +13,16 @@ const { board } = window.miro;
 const SAT_CODE_MAX = 99;
 const SAT_BOOST = 4.0;
 const SAT_GROUP_THRESHOLD = 35;
+const COLOR_CODE_TITLE_RE = /^C(\d{2})\/(\d{3})(?:\s+|$)/;
+const COLOR_ANALYSIS_CONCURRENCY = 4;
+const GRAY_CHROMA_THRESHOLD = 8;
+const HUE_HISTOGRAM_BINS = 36;
+const PALETTE_SIZE = 5;
+const PALETTE_MIN_WEIGHT = 0.02;
+const KMEANS_ITERATIONS = 12;
+const SWATCH_SIZE_RATIO = 0.25;
+const SWATCH_MIN_SIZE = 20;
+const DHASH_HEX_RE = /^[0-9a-f]{16}$/;
 const SLICE_TILE_SIZE = 4096;
 const HUGE_SLICE_TILE_SIZE = 2048;
 const SLICE_THRESHOLD_WIDTH = 8192;
@@ -25,6 +35,24 @@ const CREATE_IMAGE_BASE_DELAY_MS = 500;
 const UPLOAD_CONCURRENCY_NORMAL = 4;
 const UPLOAD_CONCURRENCY_HUGE = 1;
 const META_APP_ID = "image-align-tool";
+const PLACEMENT_GAP = 200;
+const DEFAULT_FRAME_TITLE_TEMPLATE = "{folder}";
+const EMPTY_AREA_MAX_CANDIDATES = 4000;
+const REMOVE_BATCH_SIZE = 20;
+const REMOVE_BATCH_DELAY_MS = 300;
+const IMPORT_HISTORY_KEY = "image-align-tool.importHistory";
+const IMPORT_HISTORY_LIMIT = 20;
+const ITEM_LOOKUP_CONCURRENCY = 4;
+const RESUME_DB_NAME = "image-align-tool";
+const RESUME_STORE_NAME = "imports";
+const RESUME_SAVE_INTERVAL_MS = 1000;
+const PLAN_JPEG_BYTES_PER_PIXEL = 0.33;
+const PLAN_PNG_BYTES_PER_PIXEL = 2;
+const PLAN_CANVAS_PADDING = 4;
+const SORTING_PREVIEW_DEBOUNCE_MS = 250;
+const SORTING_PREVIEW_MAX_LABELS = 60;
+const SORTING_HISTORY_LIMIT = 20;
+const SYNC_BATCH_SIZE = 20;
 const MAX_NOTIFICATION_MESSAGE_LENGTH = 80;
 const LARGE_IMAGE_DIMENSION_WARNING = 16384;
 const LARGE_IMAGE_WORKER_MIN_DIM = 24000;
@@ -62,6 +90,162 @@ function extractTrailingNumber(str) {
   return Number.isNaN(num) ? null : num;
 }
 
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+const SORT_CHAIN_KEYS = [
+  { value: "natural", label: "Name (natural)" },
+  { value: "regex", label: "Regex group" },
+  { value: "width", label: "Width" },
+  { value: "height", label: "Height" },
+  { value: "area", label: "Area" },
+  { value: "aspect", label: "Aspect ratio" },
+  { value: "color", label: "Color code" },
+  { value: "position", label: "Current position" },
+];
+
+const FILE_SORT_CHAIN_KEYS = [
+  ...SORT_CHAIN_KEYS.filter((key) => key.value !== "position"),
+  { value: "position", label: "Selection order" },
+  { value: "modified", label: "Last modified" },
+  { value: "bytes", label: "File size" },
+];
+
+const IMPORT_ORDER_CHAINS = {
+  natural: [{ key: "natural", direction: "asc" }],
+  modified: [{ key: "modified", direction: "asc" }, { key: "natural", direction: "asc" }],
+  size: [{ key: "bytes", direction: "asc" }, { key: "natural", direction: "asc" }],
+  dimensions: [{ key: "area", direction: "asc" }, { key: "width", direction: "asc" }, { key: "natural", direction: "asc" }],
+  color: [{ key: "color", direction: "asc" }, { key: "natural", direction: "asc" }],
+  selection: [{ key: "position", direction: "asc" }],
+};
+
+function compileSortChain(chain) {
+  return chain.map((key) => {
+    if (key.key !== "regex") return key;
+    try {
+      return { ...key, regex: new RegExp(key.pattern || "", "i") };
+    } catch (e) {
+      throw new Error(`Invalid sort regex: ${key.pattern}`);
+    }
+  });
+}
+
+function extractRegexKey(regex, text) {
+  const match = String(text || "").match(regex);
+  if (!match) return null;
+  const raw = match.length > 1 ? match[1] : match[0];
+  if (raw === undefined || raw === "") return null;
+  const num = Number(raw);
+  return Number.isFinite(num) && raw.trim() !== "" ? num : raw;
+}
+
+function getSortChainValue(subject, key) {
+  const { name, width, height, colorCode, position } = subject;
+  switch (key.key) {
+    case "natural": return name || null;
+    case "regex": return extractRegexKey(key.regex, name);
+    case "width": return Number.isFinite(width) ? width : null;
+    case "height": return Number.isFinite(height) ? height : null;
+    case "area": return Number.isFinite(width) && Number.isFinite(height) ? width * height : null;
+    case "aspect": return height > 0 ? width / height : null;
+    case "color": {
+      if (!colorCode) return null;
+      // Same ordering as the color sort mode: low-saturation group first, then brightness, then saturation.
+      const group = colorCode.satCode <= SAT_GROUP_THRESHOLD ? 0 : 1;
+      return group * 1000000 + colorCode.briCode * 1000 + colorCode.satCode;
+    }
+    case "position": return position;
+    case "modified": return Number.isFinite(subject.modified) ? subject.modified : null;
+    case "bytes": return Number.isFinite(subject.bytes) ? subject.bytes : null;
+    default: return null;
+  }
+}
+
+// Sorts items by a chain of keys; missing values always go last, ties keep the incoming order.
+function sortBySortChain(items, chain, getSubject) {
+  const rows = items.map((item, index) => {
+    const subject = getSubject(item, index);
+    return { item, index, values: chain.map((key) => getSortChainValue(subject, key)) };
+  });
+  rows.sort((a, b) => {
+    for (let k = 0; k < chain.length; k++) {
+      const va = a.values[k];
+      const vb = b.values[k];
+      const aMissing = va === null || va === undefined;
+      const bMissing = vb === null || vb === undefined;
+      if (aMissing || bMissing) {
+        if (aMissing !== bMissing) return aMissing ? 1 : -1;
+        continue;
+      }
+      const cmp = typeof va === "number" && typeof vb === "number" ? va - vb : naturalCollator.compare(String(va), String(vb));
+      if (cmp !== 0) return chain[k].direction === "desc" ? -cmp : cmp;
+    }
+    return a.index - b.index;
+  });
+  return rows.map((row) => row.item);
+}
+
+function readSortChain(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return [];
+  return Array.from(container.querySelectorAll(".chain-row")).map((row) => ({
+    key: row.querySelector(".chain-key").value,
+    pattern: row.querySelector(".chain-pattern").value,
+    direction: row.querySelector(".chain-dir").value,
+  }));
+}
+
+function setupSortChainEditor(containerId, keys = SORT_CHAIN_KEYS, onRowsChange = null) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  const rowsEl = document.createElement("div");
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.className = "file-picker-button";
+  addButton.textContent = "Add key";
+
+  const addRow = (key = "natural", direction = "asc") => {
+    const row = document.createElement("div");
+    row.className = "chain-row";
+    const keySelect = document.createElement("select");
+    keySelect.className = "chain-key";
+    for (const option of keys) keySelect.add(new Option(option.label, option.value, false, option.value === key));
+    const patternInput = document.createElement("input");
+    patternInput.type = "text";
+    patternInput.className = "chain-pattern";
+    patternInput.placeholder = "take(\\d+)";
+    const dirSelect = document.createElement("select");
+    dirSelect.className = "chain-dir";
+    dirSelect.add(new Option("Asc", "asc", false, direction === "asc"));
+    dirSelect.add(new Option("Desc", "desc", false, direction === "desc"));
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "chain-remove";
+    removeButton.textContent = "×";
+    removeButton.title = "Remove key";
+
+    const updatePattern = () => {
+      patternInput.style.display = keySelect.value === "regex" ? "" : "none";
+    };
+    keySelect.addEventListener("change", updatePattern);
+    removeButton.addEventListener("click", () => {
+      if (rowsEl.children.length <= 1) return;
+      row.remove();
+      if (onRowsChange) onRowsChange();
+    });
+    updatePattern();
+    row.append(keySelect, patternInput, dirSelect, removeButton);
+    rowsEl.appendChild(row);
+  };
+
+  addButton.addEventListener("click", () => {
+    addRow();
+    if (onRowsChange) onRowsChange();
+  });
+  container.append(rowsEl, addButton);
+  addRow();
+}
+
 function sortByGeometry(images) {
   return [...images].sort((a, b) => {
     if (a.y < b.y) return -1;
@@ -149,6 +333,78 @@ class FatalHugeFileError extends Error {
   }
 }
 
+class ImportCancelledError extends Error {
+  constructor() {
+    super("Import cancelled");
+    this.name = "ImportCancelledError";
+  }
+}
+
+let activeImportController = null;
+let flushActiveResumeRecord = null;
+
+function sleepWithSignal(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new ImportCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ImportCancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function removeItemsInBatches(items, onProgress) {
+  let removed = 0;
+  let failed = 0;
+  for (let i = 0; i < items.length; i += REMOVE_BATCH_SIZE) {
+    const batch = items.slice(i, i + REMOVE_BATCH_SIZE);
+    await Promise.all(batch.map(async (item) => {
+      try {
+        await board.remove(item);
+        removed += 1;
+      } catch (e) {
+        failed += 1;
+        console.warn("Remove failed:", { id: item && item.id, error: e });
+      }
+    }));
+    if (onProgress) onProgress(removed + failed, items.length);
+    if (i + REMOVE_BATCH_SIZE < items.length) await sleepWithSignal(REMOVE_BATCH_DELAY_MS);
+  }
+  return { removed, failed };
+}
+
+function askPanelChoice(message, choices) {
+  const prompt = document.getElementById("stitchPrompt");
+  const text = document.getElementById("stitchPromptText");
+  const actions = document.getElementById("stitchPromptActions");
+  if (!prompt || !actions) return Promise.resolve(choices[0].value);
+  if (text) text.textContent = message;
+  actions.textContent = "";
+  prompt.style.display = "";
+  return new Promise((resolve) => {
+    for (const choice of choices) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "file-picker-button";
+      button.textContent = choice.label;
+      button.addEventListener("click", () => {
+        prompt.style.display = "none";
+        actions.textContent = "";
+        resolve(choice.value);
+      });
+      actions.appendChild(button);
+    }
+  });
+}
+
 function clampNotificationMessage(message, fallback = "Operation failed") {
   const raw = (message == null ? "" : String(message)).replace(/\s+/g, " ").trim();
   const safe = raw || fallback;
@@ -221,6 +477,11 @@ function getBrightnessAndSaturationFromImageElement(
   const totalPixels = cropW * cropH;
   let sumY = 0;
   let sumDiff = 0;
+  let sumL = 0;
+  let sumChroma = 0;
+  const hueWeights = new Array(HUE_HISTOGRAM_BINS).fill(0);
+  const hueSin = new Array(HUE_HISTOGRAM_BINS).fill(0);
+  const hueCos = new Array(HUE_HISTOGRAM_BINS).fill(0);
 
   for (let i = 0; i < data.length; i += 4) {
     const r = data[i];
@@ -231,39 +492,382 @@ function getBrightnessAndSaturationFromImageElement(
     const maxv = Math.max(r, g, b);
     const minv = Math.min(r, g, b);
     sumDiff += maxv - minv;
+
+    const lab = srgbToLab(r, g, b);
+    const chroma = Math.hypot(lab.a, lab.b);
+    sumL += lab.l;
+    sumChroma += chroma;
+    if (chroma >= GRAY_CHROMA_THRESHOLD) {
+      const angle = Math.atan2(lab.b, lab.a);
+      const deg = (angle * 180 / Math.PI + 360) % 360;
+      const bin = Math.min(HUE_HISTOGRAM_BINS - 1, Math.floor(deg / (360 / HUE_HISTOGRAM_BINS)));
+      hueWeights[bin] += chroma;
+      hueSin[bin] += Math.sin(angle) * chroma;
+      hueCos[bin] += Math.cos(angle) * chroma;
+    }
+  }
+
+  // Dominant hue: the heaviest chroma-weighted bin, refined with its two neighbours.
+  let hue = null;
+  let bestBin = -1;
+  for (let k = 0; k < HUE_HISTOGRAM_BINS; k++) {
+    if (hueWeights[k] > 0 && (bestBin < 0 || hueWeights[k] > hueWeights[bestBin])) bestBin = k;
+  }
+  if (bestBin >= 0) {
+    let sx = 0;
+    let sy = 0;
+    for (const k of [bestBin - 1, bestBin, bestBin + 1]) {
+      const idx = (k + HUE_HISTOGRAM_BINS) % HUE_HISTOGRAM_BINS;
+      sx += hueCos[idx];
+      sy += hueSin[idx];
+    }
+    hue = (Math.atan2(sy, sx) * 180 / Math.PI + 360) % 360;
+  }
+
+  let palette = [];
+  try {
+    palette = extractPalette(ctx.getImageData(0, 0, width, height).data, PALETTE_SIZE);
+  } catch (e) {
+    console.warn("Palette extraction failed:", e);
   }
 
   const brightness = (sumY / totalPixels) / 255;
   const saturation = (sumDiff / totalPixels) / 255;
-  return { brightness, saturation };
+  const lightness = sumL / totalPixels;
+  const chroma = sumChroma / totalPixels;
+  return { brightness, saturation, hue, lightness, chroma, palette };
 }
 
-async function alignImagesInGivenOrder(images, config) {
-  const { imagesPerRow, horizontalGap, verticalGap, sizeMode, startCorner } = config;
-  if (!images.length) return;
+// 64-bit difference hash: 9x8 grayscale thumbnail, one bit per horizontal neighbour comparison.
+function computeDHashFromImageElement(img) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 9;
+  canvas.height = 8;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, 9, 8);
+  let data;
+  try {
+    data = ctx.getImageData(0, 0, 9, 8).data;
+  } catch (e) {
+    console.error("dHash getImageData failed (CORS?):", e);
+    return null;
+  }
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) gray.push(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]);
+
+  let hex = "";
+  for (let y = 0; y < 8; y++) {
+    let nibble = 0;
+    for (let x = 0; x < 8; x++) {
+      nibble = (nibble << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = Number.parseInt(a[i], 16) ^ Number.parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function hexToLabPoint(hex, weight = 1) {
+  const match = String(hex || "").match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  if (!match) return null;
+  const rgb = [1, 2, 3].map((k) => Number.parseInt(match[k], 16));
+  return { ...srgbToLab(rgb[0], rgb[1], rgb[2]), rgb, weight };
+}
+
+// Weighted k-means in CIELAB. Points are { l, a, b, rgb, weight }; centroids carry the mean sRGB too.
+function kMeansLab(points, k, iterations = KMEANS_ITERATIONS) {
+  const count = Math.min(k, points.length);
+  if (!count) return { centroids: [], assignments: [] };
+  const dist2 = (p, c) => (p.l - c.l) ** 2 + (p.a - c.a) ** 2 + (p.b - c.b) ** 2;
+
+  // Farthest-point seeding is deterministic, so re-running a sort gives the same groups.
+  let first = 0;
+  for (let i = 1; i < points.length; i++) if (points[i].weight > points[first].weight) first = i;
+  const centroids = [{ l: points[first].l, a: points[first].a, b: points[first].b, rgb: [...points[first].rgb], weight: 0 }];
+  const nearest = points.map((p) => dist2(p, centroids[0]));
+  while (centroids.length < count) {
+    let far = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (nearest[i] * points[i].weight > nearest[far] * points[far].weight) far = i;
+    }
+    if (nearest[far] <= 0) break;
+    const p = points[far];
+    const c = { l: p.l, a: p.a, b: p.b, rgb: [...p.rgb], weight: 0 };
+    centroids.push(c);
+    for (let i = 0; i < points.length; i++) nearest[i] = Math.min(nearest[i], dist2(points[i], c));
+  }
+
+  const assignments = new Array(points.length).fill(-1);
+  for (let iter = 0; iter < iterations; iter++) {
+    let changed = false;
+    for (let i = 0; i < points.length; i++) {
+      let best = 0;
+      let bestDist = Infinity;
+      for (let j = 0; j < centroids.length; j++) {
+        const d = dist2(points[i], centroids[j]);
+        if (d < bestDist) {
+          bestDist = d;
+          best = j;
+        }
+      }
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    }
+    const sums = centroids.map(() => ({ l: 0, a: 0, b: 0, rgb: [0, 0, 0], weight: 0 }));
+    points.forEach((p, i) => {
+      const sum = sums[assignments[i]];
+      sum.l += p.l * p.weight;
+      sum.a += p.a * p.weight;
+      sum.b += p.b * p.weight;
+      for (let ch = 0; ch < 3; ch++) sum.rgb[ch] += p.rgb[ch] * p.weight;
+      sum.weight += p.weight;
+    });
+    sums.forEach((sum, j) => {
+      const c = centroids[j];
+      c.weight = sum.weight;
+      if (sum.weight <= 0) return;
+      c.l = sum.l / sum.weight;
+      c.a = sum.a / sum.weight;
+      c.b = sum.b / sum.weight;
+      c.rgb = sum.rgb.map((v) => v / sum.weight);
+    });
+    if (!changed) break;
+  }
+  return { centroids, assignments };
+}
+
+function extractPalette(data, k) {
+  const points = [];
+  for (let i = 0; i < data.length; i += 4) {
+    const rgb = [data[i], data[i + 1], data[i + 2]];
+    points.push({ ...srgbToLab(rgb[0], rgb[1], rgb[2]), rgb, weight: 1 });
+  }
+  return paletteFromCentroids(kMeansLab(points, k).centroids);
+}
+
+function paletteFromCentroids(centroids) {
+  const totalWeight = centroids.reduce((sum, c) => sum + c.weight, 0) || 1;
+  return centroids
+    .map((c) => ({ color: rgbToHex(c.rgb), weight: Math.round((c.weight / totalWeight) * 1000) / 1000 }))
+    .filter((entry) => entry.weight >= PALETTE_MIN_WEIGHT)
+    .sort((a, b) => b.weight - a.weight);
+}
+
+let srgbLinearTable = null;
+
+function srgbToLab(r, g, b) {
+  if (!srgbLinearTable) {
+    srgbLinearTable = new Float64Array(256);
+    for (let v = 0; v < 256; v++) {
+      const c = v / 255;
+      srgbLinearTable[v] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+  }
+  const rl = srgbLinearTable[r];
+  const gl = srgbLinearTable[g];
+  const bl = srgbLinearTable[b];
+  // sRGB -> XYZ (D65), normalized by the D65 white point.
+  const x = (0.4124564 * rl + 0.3575761 * gl + 0.1804375 * bl) / 0.95047;
+  const y = 0.2126729 * rl + 0.7151522 * gl + 0.072175 * bl;
+  const z = (0.0193339 * rl + 0.119192 * gl + 0.9503041 * bl) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+function computeColorCodes(brightness, saturation) {
+  const briCode = Math.max(0, Math.min(999, Math.round((1 - brightness) * 999)));
+  const satCode = Math.max(0, Math.min(SAT_CODE_MAX, Math.round(Math.min(1, saturation * SAT_BOOST) * SAT_CODE_MAX)));
+  return { briCode, satCode };
+}
+
+function computeColorMetadata(res) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  return {
+    ...computeColorCodes(res.brightness, res.saturation),
+    hue: res.hue === null ? null : round1(res.hue),
+    lightness: round1(res.lightness),
+    chroma: round1(res.chroma),
+    palette: Array.isArray(res.palette) ? res.palette : [],
+  };
+}
+
+function formatColorCodePrefix(satCode, briCode) {
+  return `C${String(satCode).padStart(2, "0")}/${String(briCode).padStart(3, "0")}`;
+}
+
+function parseColorCodeTitle(title) {
+  const match = String(title || "").match(COLOR_CODE_TITLE_RE);
+  if (!match) return null;
+  return { satCode: Number.parseInt(match[1], 10), briCode: Number.parseInt(match[2], 10) };
+}
+
+async function mergeAppMetadata(item, patch) {
+  let current = null;
+  try {
+    current = await item.getMetadata(META_APP_ID);
+  } catch (_) {}
+  const base = current && typeof current === "object" ? current : {};
+  await item.setMetadata(META_APP_ID, { ...base, ...patch });
+}
+
+async function readAppMetadataMap(items) {
+  const metaByItem = new Map();
+  await Promise.all(items.map(async (item) => {
+    let meta = null;
+    try {
+      meta = await item.getMetadata(META_APP_ID);
+    } catch (_) {}
+    metaByItem.set(item, meta && typeof meta === "object" ? meta : null);
+  }));
+  return metaByItem;
+}
+
+function getMetadataColorCode(meta) {
+  if (!meta || !Number.isFinite(meta.satCode) || !Number.isFinite(meta.briCode)) return null;
+  return { satCode: meta.satCode, briCode: meta.briCode };
+}
+
+function getMetadataColorMetrics(meta) {
+  if (!meta || !Number.isFinite(meta.lightness) || !Number.isFinite(meta.chroma)) return null;
+  return { hue: Number.isFinite(meta.hue) ? meta.hue : null, lightness: meta.lightness, chroma: meta.chroma };
+}
+
+function getMetadataPalette(meta) {
+  if (!meta || !Array.isArray(meta.palette) || !meta.palette.length) return null;
+  const palette = meta.palette.filter((entry) => entry && typeof entry.color === "string" && Number.isFinite(entry.weight));
+  return palette.length ? palette : null;
+}
+
+function getMetadataDHash(meta) {
+  return meta && typeof meta.dHash === "string" && DHASH_HEX_RE.test(meta.dHash) ? meta.dHash : null;
+}
+
+async function runWithConcurrency(items, workerFn, concurrency, signal) {
+  let cursor = 0;
+  const runners = new Array(concurrency).fill(0).map(async () => {
+    while (true) {
+      if (signal && signal.aborted) break;
+      const i = cursor;
+      cursor += 1;
+      if (i >= items.length) break;
+      await workerFn(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+}
+
+async function analyzeBoardImage(img) {
+  const dataUrl = await img.getDataUrl("preview");
+  const imgEl = await loadImage(dataUrl);
+  try {
+    const res = getBrightnessAndSaturationFromImageElement(imgEl);
+    if (!res) return null;
+    return { ...computeColorMetadata(res), dHash: computeDHashFromImageElement(imgEl) };
+  } finally {
+    try { imgEl.src = ""; } catch (_) {}
+  }
+}
+
+async function analyzeMissingImages(images, isMissing, onAnalyzed, signal) {
+  const missing = images.filter(isMissing);
+  if (!missing.length) return;
+  let analyzed = 0;
+  setSortingProgress(0, missing.length, "Analyzing images…");
+  try {
+    await runWithConcurrency(missing, async (img) => {
+      try {
+        let res = imageAnalysisCache.get(img.id);
+        if (res === undefined) {
+          res = await analyzeBoardImage(img);
+          imageAnalysisCache.set(img.id, res);
+        }
+        if (res) await onAnalyzed(img, res);
+      } catch (e) {
+        console.warn("Sorting: image analysis failed", { id: img.id, error: e });
+      }
+      analyzed += 1;
+      setSortingProgress(analyzed, missing.length, "Analyzing images…");
+    }, COLOR_ANALYSIS_CONCURRENCY, signal);
+  } finally {
+    setSortingProgress(0, 0);
+  }
+}
+
+function setSortingProgress(done, total, label) {
+  const container = document.getElementById("sortingProgress");
+  const bar = document.getElementById("sortingProgressBar");
+  const text = document.getElementById("sortingProgressMain");
+  if (container) container.style.display = total > 0 ? "" : "none";
+  if (bar) bar.style.width = total > 0 ? `${((done / total) * 100).toFixed(1)}%` : "0%";
+  if (text) text.textContent = total > 0 ? `${label} ${done} / ${total}` : "";
+}
 
+function computeResizedSizes(images, sizeMode) {
   if (sizeMode === "width") {
     const targetWidth = Math.min(...images.map((img) => img.width));
-    for (const img of images) img.width = targetWidth;
-    await Promise.all(images.map((img) => img.sync()));
-  } else if (sizeMode === "height") {
+    return images.map((img) => ({ width: targetWidth, height: img.width > 0 ? img.height * (targetWidth / img.width) : img.height }));
+  }
+  if (sizeMode === "height") {
     const targetHeight = Math.min(...images.map((img) => img.height));
-    for (const img of images) img.height = targetHeight;
-    await Promise.all(images.map((img) => img.sync()));
+    return images.map((img) => ({ width: img.height > 0 ? img.width * (targetHeight / img.height) : img.width, height: targetHeight }));
   }
+  return images.map((img) => ({ width: img.width, height: img.height }));
+}
 
-  const total = images.length;
-  const cols = Math.max(1, imagesPerRow);
-  const rows = Math.ceil(total / cols);
+function isColumnFillOrder(fillOrder) {
+  return fillOrder === "columns" || fillOrder === "snake-columns";
+}
+
+function getGridCell(index, perLine, fillOrder) {
+  const line = Math.floor(index / perLine);
+  let pos = index % perLine;
+  const isSnake = fillOrder === "snake-rows" || fillOrder === "snake-columns";
+  if (isSnake && line % 2 === 1) pos = perLine - 1 - pos;
+  if (isColumnFillOrder(fillOrder)) return { row: pos, col: line };
+  return { row: line, col: pos };
+}
+
+function computeRowLayout(sizes, { imagesPerRow, horizontalGap, verticalGap, fillOrder }) {
+  const total = sizes.length;
+  const perLine = Math.max(1, imagesPerRow);
+  const cells = sizes.map((_, i) => getGridCell(i, perLine, fillOrder));
+  const rows = cells.reduce((max, cell) => Math.max(max, cell.row + 1), 0);
+  const rowMembers = Array.from({ length: rows }, () => []);
+  cells.forEach((cell, i) => rowMembers[cell.row].push(i));
   const rowHeights = new Array(rows).fill(0);
   const rowWidths = new Array(rows).fill(0);
 
-  for (let i = 0; i < total; i++) {
-    const r = Math.floor(i / cols);
-    const img = images[i];
-    if (img.height > rowHeights[r]) rowHeights[r] = img.height;
-    if (rowWidths[r] > 0) rowWidths[r] += horizontalGap;
-    rowWidths[r] += img.width;
+  for (let r = 0; r < rows; r++) {
+    rowMembers[r].sort((a, b) => cells[a].col - cells[b].col);
+    for (const i of rowMembers[r]) {
+      const size = sizes[i];
+      if (size.height > rowHeights[r]) rowHeights[r] = size.height;
+      if (rowWidths[r] > 0) rowWidths[r] += horizontalGap;
+      rowWidths[r] += size.width;
+    }
   }
 
   const gridWidth = rowWidths.length ? Math.max(...rowWidths) : 0;
@@ -271,23 +875,260 @@ async function alignImagesInGivenOrder(images, config) {
   const rowTop = new Array(rows).fill(0);
   for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
 
-  const baseX = new Array(total).fill(0);
-  const baseY = new Array(total).fill(0);
-  const rowCursorX = new Array(rows).fill(0);
+  const centers = new Array(total);
+  for (let r = 0; r < rows; r++) {
+    const members = rowMembers[r];
+    if (!members.length) continue;
+    // A partial row that a snake order enters from the far side stays on that side.
+    let cursorX = cells[members[0]].col > 0 ? gridWidth - rowWidths[r] : 0;
+    for (const i of members) {
+      const size = sizes[i];
+      centers[i] = { x: cursorX + size.width / 2, y: rowTop[r] + rowHeights[r] / 2 };
+      cursorX += size.width + horizontalGap;
+    }
+  }
+
+  return { centers, width: gridWidth, height: gridHeight };
+}
+
+function computeTableLayout(sizes, { imagesPerRow, horizontalGap, verticalGap, fillOrder, cellAlignX, cellAlignY }) {
+  const perLine = Math.max(1, imagesPerRow);
+  const cells = sizes.map((_, i) => getGridCell(i, perLine, fillOrder));
+  const rows = cells.reduce((max, cell) => Math.max(max, cell.row + 1), 0);
+  const cols = cells.reduce((max, cell) => Math.max(max, cell.col + 1), 0);
+  const colWidths = new Array(cols).fill(0);
+  const rowHeights = new Array(rows).fill(0);
+
+  cells.forEach((cell, i) => {
+    if (sizes[i].width > colWidths[cell.col]) colWidths[cell.col] = sizes[i].width;
+    if (sizes[i].height > rowHeights[cell.row]) rowHeights[cell.row] = sizes[i].height;
+  });
+
+  const colLeft = new Array(cols).fill(0);
+  for (let c = 1; c < cols; c++) colLeft[c] = colLeft[c - 1] + colWidths[c - 1] + horizontalGap;
+  const rowTop = new Array(rows).fill(0);
+  for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+
+  const alignOffset = (align, free) => (align === "left" || align === "top" ? 0 : align === "right" || align === "bottom" ? free : free / 2);
+  const centers = cells.map((cell, i) => {
+    const size = sizes[i];
+    const left = colLeft[cell.col] + alignOffset(cellAlignX, colWidths[cell.col] - size.width);
+    const top = rowTop[cell.row] + alignOffset(cellAlignY, rowHeights[cell.row] - size.height);
+    return { x: left + size.width / 2, y: top + size.height / 2 };
+  });
+
+  const gridWidth = colWidths.reduce((sum, w) => sum + w, 0) + horizontalGap * Math.max(0, cols - 1);
+  const gridHeight = rowHeights.reduce((sum, h) => sum + h, 0) + verticalGap * Math.max(0, rows - 1);
+  return { centers, width: gridWidth, height: gridHeight };
+}
+
+// Cell alignment is picked in board space, so undo the start-corner mirror before laying out.
+function getCellAlignForCorner(cellAlignX, cellAlignY, startCorner) {
+  const { flipX, flipY } = getCornerFlip(startCorner);
+  const mirror = { left: "right", right: "left", top: "bottom", bottom: "top" };
+  return {
+    cellAlignX: flipX ? mirror[cellAlignX] || cellAlignX : cellAlignX,
+    cellAlignY: flipY ? mirror[cellAlignY] || cellAlignY : cellAlignY,
+  };
+}
+
+function computeMasonryLayout(sizes, { imagesPerRow, horizontalGap, verticalGap }) {
+  const cols = Math.max(1, Math.min(imagesPerRow, sizes.length));
+  const columnWidth = sizes.length ? Math.max(...sizes.map((size) => size.width)) : 0;
+  const columnHeights = new Array(cols).fill(0);
+  const columnCounts = new Array(cols).fill(0);
+
+  const centers = sizes.map((size) => {
+    let col = 0;
+    for (let c = 1; c < cols; c++) {
+      if (columnHeights[c] < columnHeights[col]) col = c;
+    }
+    const top = columnCounts[col] > 0 ? columnHeights[col] + verticalGap : 0;
+    columnHeights[col] = top + size.height;
+    columnCounts[col] += 1;
+    return { x: col * (columnWidth + horizontalGap) + columnWidth / 2, y: top + size.height / 2 };
+  });
+
+  const gridWidth = cols * columnWidth + horizontalGap * Math.max(0, cols - 1);
+  const gridHeight = Math.max(0, ...columnHeights);
+  return { centers, width: gridWidth, height: gridHeight };
+}
+
+function computeJustifiedLayout(images, { targetRowWidth, targetRowHeight, horizontalGap, verticalGap }) {
+  const rowWidth = Math.max(1, targetRowWidth);
+  const rowHeight = Math.max(1, targetRowHeight);
+  const aspects = images.map((img) => (img.height > 0 ? img.width / img.height : 1));
+  const rows = [];
+  let start = 0;
+  let aspectSum = 0;
+
+  for (let i = 0; i < images.length; i++) {
+    aspectSum += aspects[i];
+    const count = i - start + 1;
+    const gaps = horizontalGap * (count - 1);
+    if (aspectSum * rowHeight + gaps >= rowWidth) {
+      rows.push({ start, end: i + 1, height: Math.max(1, (rowWidth - gaps) / aspectSum) });
+      start = i + 1;
+      aspectSum = 0;
+    }
+  }
+  // The trailing row keeps the target height instead of being stretched to full width.
+  if (start < images.length) rows.push({ start, end: images.length, height: rowHeight });
+
+  const sizes = new Array(images.length);
+  const centers = new Array(images.length);
+  let top = 0;
+  let gridWidth = 0;
+  for (const row of rows) {
+    let cursorX = 0;
+    for (let i = row.start; i < row.end; i++) {
+      const width = aspects[i] * row.height;
+      sizes[i] = { width, height: row.height };
+      centers[i] = { x: cursorX + width / 2, y: top + row.height / 2 };
+      cursorX += width + horizontalGap;
+    }
+    gridWidth = Math.max(gridWidth, cursorX - horizontalGap);
+    top += row.height + verticalGap;
+  }
+
+  const gridHeight = rows.length ? top - verticalGap : 0;
+  return { sizes, layout: { centers, width: gridWidth, height: gridHeight } };
+}
+
+function packSkyline(rects, binWidth) {
+  const skyline = [{ x: 0, y: 0, width: binWidth }];
+  const positions = new Array(rects.length);
+  const order = rects
+    .map((rect, index) => ({ ...rect, index }))
+    .sort((a, b) => (b.height - a.height) || (b.width - a.width) || (a.index - b.index));
+  let usedWidth = 0;
+  let usedHeight = 0;
+
+  for (const rect of order) {
+    let bestY = Infinity;
+    let bestX = Infinity;
+    let bestSeg = -1;
+    for (let s = 0; s < skyline.length; s++) {
+      const x = skyline[s].x;
+      if (x + rect.width > binWidth) break;
+      let y = 0;
+      let spanLeft = rect.width;
+      for (let k = s; k < skyline.length && spanLeft > 0; k++) {
+        if (skyline[k].y > y) y = skyline[k].y;
+        spanLeft -= skyline[k].width;
+      }
+      if (y < bestY || (y === bestY && x < bestX)) {
+        bestY = y;
+        bestX = x;
+        bestSeg = s;
+      }
+    }
+    if (bestSeg < 0) {
+      // Wider than the bin: park it on top of everything so nothing overlaps.
+      bestX = 0;
+      bestY = Math.max(...skyline.map((seg) => seg.y));
+      bestSeg = 0;
+    }
+
+    positions[rect.index] = { x: bestX, y: bestY };
+    usedWidth = Math.max(usedWidth, bestX + rect.width);
+    usedHeight = Math.max(usedHeight, bestY + rect.height);
+
+    const right = bestX + rect.width;
+    const next = [];
+    for (const seg of skyline) {
+      const segRight = seg.x + seg.width;
+      if (segRight <= bestX || seg.x >= right) {
+        next.push(seg);
+        continue;
+      }
+      if (seg.x < bestX) next.push({ x: seg.x, y: seg.y, width: bestX - seg.x });
+      if (segRight > right) next.push({ x: right, y: seg.y, width: segRight - right });
+    }
+    next.push({ x: bestX, y: bestY + rect.height, width: rect.width });
+    next.sort((a, b) => a.x - b.x);
+    skyline.length = 0;
+    for (const seg of next) {
+      const last = skyline[skyline.length - 1];
+      if (last && last.y === seg.y && last.x + last.width === seg.x) last.width += seg.width;
+      else skyline.push({ ...seg });
+    }
+  }
+
+  return { positions, width: usedWidth, height: usedHeight };
+}
+
+function computeCompactLayout(sizes, { horizontalGap, verticalGap, targetAspect }) {
+  const aspect = targetAspect > 0 ? targetAspect : 1;
+  const gapX = Math.max(0, horizontalGap);
+  const gapY = Math.max(0, verticalGap);
+  const padded = sizes.map((size) => ({ width: size.width + gapX, height: size.height + gapY }));
+  const totalArea = padded.reduce((sum, r) => sum + r.width * r.height, 0);
+  const widest = Math.max(...padded.map((r) => r.width));
+  const idealWidth = Math.sqrt(totalArea * aspect);
+
+  // Score each candidate by the smallest rectangle of the target aspect that encloses it.
+  let best = null;
+  for (const factor of [0.7, 0.8, 0.9, 1, 1.1, 1.2, 1.35, 1.5]) {
+    const binWidth = Math.max(widest, idealWidth * factor);
+    const packed = packSkyline(padded, binWidth);
+    const width = Math.max(0, packed.width - gapX);
+    const height = Math.max(0, packed.height - gapY);
+    const score = Math.max(width, height * aspect) * Math.max(height, width / aspect);
+    if (!best || score < best.score) best = { score, packed, width, height };
+  }
+
+  const centers = sizes.map((size, i) => ({
+    x: best.packed.positions[i].x + size.width / 2,
+    y: best.packed.positions[i].y + size.height / 2,
+  }));
+  return { centers, width: best.width, height: best.height };
+}
+
+async function applyResizedSizes(images, sizes, sizeMode) {
+  if (sizeMode !== "width" && sizeMode !== "height") return;
+  for (let i = 0; i < images.length; i++) {
+    if (sizeMode === "width") images[i].width = sizes[i].width;
+    else images[i].height = sizes[i].height;
+  }
+  await Promise.all(images.map((img) => img.sync()));
+}
+
+function computeSortingLayout(images, config) {
+  const { sizeMode, startCorner } = config;
+  const layoutMode = config.layoutMode || "grid";
 
-  for (let i = 0; i < total; i++) {
-    const r = Math.floor(i / cols);
-    const img = images[i];
-    baseY[i] = rowTop[r] + rowHeights[r] / 2;
-    baseX[i] = rowCursorX[r] + img.width / 2;
-    rowCursorX[r] += img.width + horizontalGap;
+  if (layoutMode === "compact") {
+    // Packing works on the images as they are; resizing would defeat the point.
+    const sizes = computeResizedSizes(images, "none");
+    return { sizes, layout: computeCompactLayout(sizes, config), resizeMode: "none" };
   }
+  if (layoutMode === "justified") {
+    // Every justified row gets its own height, so resizing and row breaks are solved together.
+    const { sizes, layout } = computeJustifiedLayout(images, config);
+    return { sizes, layout, resizeMode: "height" };
+  }
+
+  // Masonry columns only line up when every image shares the column width.
+  const resizeMode = layoutMode === "masonry" ? "width" : sizeMode;
+  const sizes = computeResizedSizes(images, resizeMode);
+  let layout;
+  if (layoutMode === "masonry") layout = computeMasonryLayout(sizes, config);
+  else if (layoutMode === "table") {
+    layout = computeTableLayout(sizes, { ...config, ...getCellAlignForCorner(config.cellAlignX, config.cellAlignY, startCorner) });
+  } else layout = computeRowLayout(sizes, config);
+  return { sizes, layout, resizeMode };
+}
 
-  const bounds = images.map((img) => ({
-    left: img.x - img.width / 2,
-    top: img.y - img.height / 2,
-    right: img.x + img.width / 2,
-    bottom: img.y + img.height / 2,
+// Anchors a layout to the corner of the current selection bounds that startCorner names.
+function createLayoutPlacement(images, sizes, layout, startCorner) {
+  const gridWidth = layout.width;
+  const gridHeight = layout.height;
+  const bounds = images.map((img, i) => ({
+    left: img.x - sizes[i].width / 2,
+    top: img.y - sizes[i].height / 2,
+    right: img.x + sizes[i].width / 2,
+    bottom: img.y + sizes[i].height / 2,
   }));
   const minLeft = Math.min(...bounds.map((b) => b.left));
   const minTop = Math.min(...bounds.map((b) => b.top));
@@ -298,61 +1139,310 @@ async function alignImagesInGivenOrder(images, config) {
   const originLeft = flipX ? (maxRight - gridWidth) : minLeft;
   const originTop = flipY ? (maxBottom - gridHeight) : minTop;
 
-  for (let i = 0; i < total; i++) {
-    let x0 = baseX[i];
-    let y0 = baseY[i];
-    if (flipX) x0 = gridWidth - x0;
-    if (flipY) y0 = gridHeight - y0;
-    images[i].x = originLeft + x0;
-    images[i].y = originTop + y0;
+  return ({ x, y }) => ({
+    x: originLeft + (flipX ? gridWidth - x : x),
+    y: originTop + (flipY ? gridHeight - y : y),
+  });
+}
+
+async function alignImagesInGivenOrder(images, config) {
+  if (!images.length) return;
+
+  const { sizes, layout, resizeMode } = computeSortingLayout(images, config);
+  await applyResizedSizes(images, sizes, resizeMode);
+
+  const toBoard = createLayoutPlacement(images, sizes, layout, config.startCorner);
+  for (let i = 0; i < images.length; i++) {
+    const target = toBoard(layout.centers[i]);
+    images[i].x = target.x;
+    images[i].y = target.y;
   }
 
   await Promise.all(images.map((img) => img.sync()));
 }
 
-async function orderImagesForSorting(images, { sortMode, sizeMode, sizeOrder }) {
-  if (!images.length) return [];
+async function collectImageHashes(images, signal) {
+  const metaByImage = await readAppMetadataMap(images);
+  const hashByImage = new Map();
+  for (const img of images) {
+    const hash = getMetadataDHash(metaByImage.get(img));
+    if (hash) hashByImage.set(img, hash);
+  }
+  await analyzeMissingImages(images, (img) => !hashByImage.has(img), async (img, res) => {
+    if (!res.dHash) return;
+    hashByImage.set(img, res.dHash);
+    await mergeAppMetadata(img, res);
+  }, signal);
+  return hashByImage;
+}
 
-  if (sortMode === "number") {
-    const hasAnyEmptyTitle = images.some((img) => !getTitle(img));
-    if (hasAnyEmptyTitle) {
-      const geoOrder = sortByGeometry(images);
-      let counter = 1;
-      for (const img of geoOrder) img.title = String(counter++);
-      await Promise.all(geoOrder.map((img) => img.sync()));
-      images = geoOrder;
+// Greedy nearest-neighbour chain: each next image is the closest unvisited hash to the previous one.
+function orderBySimilarity(images, hashByImage) {
+  const hashed = sortByGeometry(images.filter((img) => hashByImage.has(img)));
+  const rest = sortByGeometry(images.filter((img) => !hashByImage.has(img)));
+  if (!hashed.length) return rest;
+
+  const ordered = [hashed[0]];
+  const remaining = hashed.slice(1);
+  while (remaining.length) {
+    const lastHash = hashByImage.get(ordered[ordered.length - 1]);
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < remaining.length; i++) {
+      const distance = hashDistance(lastHash, hashByImage.get(remaining[i]));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
     }
+    ordered.push(remaining.splice(best, 1)[0]);
+  }
+  return ordered.concat(rest);
+}
 
-    const meta = images.map((img, index) => {
-      const title = getTitle(img);
-      const lower = title.toLowerCase();
-      const num = extractTrailingNumber(title);
-      return { img, index, lower, num, hasNumber: num !== null };
-    });
-
-    meta.sort((a, b) => {
-      if (a.hasNumber && !b.hasNumber) return -1;
-      if (!a.hasNumber && b.hasNumber) return 1;
-      if (a.hasNumber && b.hasNumber) {
-        if (a.num !== b.num) return a.num - b.num;
-        if (a.lower < b.lower) return -1;
-        if (a.lower > b.lower) return 1;
-        return a.index - b.index;
+function findDuplicateGroups(images, hashByImage, threshold) {
+  const hashed = images.filter((img) => hashByImage.has(img));
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (hashDistance(hashByImage.get(hashed[i]), hashByImage.get(hashed[j])) <= threshold) {
+        parent[find(j)] = find(i);
       }
-      if (a.lower < b.lower) return -1;
-      if (a.lower > b.lower) return 1;
-      return a.index - b.index;
-    });
-    return meta.map((m) => m.img);
+    }
   }
-
+  const groups = new Map();
+  hashed.forEach((img, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(img);
+  });
+  return Array.from(groups.values()).filter((group) => group.length > 1);
+}
+
+async function handleFindDuplicates(event) {
+  event.preventDefault();
+  const button = document.getElementById("sortingDuplicatesButton");
+  try {
+    const form = document.getElementById("duplicates-form");
+    const threshold = form && form.sortingDuplicateDistance ? Number(form.sortingDuplicateDistance.value) : 0;
+    const selection = await board.getSelection();
+    const images = selection.filter((i) => i.type === "image");
+    if (images.length < 2) {
+      await notifyInfo("Select at least two images");
+      return;
+    }
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      await notifyError("Distance must be 0 or greater");
+      return;
+    }
+
+    if (button) button.disabled = true;
+    const hashByImage = await collectImageHashes(images);
+    const groups = findDuplicateGroups(images, hashByImage, threshold);
+    if (!groups.length) {
+      await notifyInfo("No duplicates found");
+      return;
+    }
+
+    const duplicateIds = groups.flat().map((img) => img.id);
+    await board.deselect();
+    await board.select({ id: duplicateIds });
+    await notifyInfo(`Selected ${duplicateIds.length} images in ${groups.length} duplicate group${groups.length === 1 ? "" : "s"}`, {
+      groups: groups.map((group) => group.map((img) => ({ id: img.id, title: getTitle(img), dHash: hashByImage.get(img) }))),
+    });
+  } catch (err) {
+    console.error(err);
+    setSortingProgress(0, 0);
+    await notifyError("Find duplicates failed", err);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+async function clusterImagesByColor(images, clusterCount) {
+  const metaByImage = await readAppMetadataMap(images);
+  const paletteByImage = new Map();
+  for (const img of images) {
+    const palette = getMetadataPalette(metaByImage.get(img));
+    if (palette) paletteByImage.set(img, palette);
+  }
+
+  await analyzeMissingImages(images, (img) => !paletteByImage.has(img), async (img, res) => {
+    if (!res.palette.length) return;
+    paletteByImage.set(img, res.palette);
+    await mergeAppMetadata(img, res);
+  });
+
+  const analyzed = images.filter((img) => paletteByImage.has(img));
+  const unanalyzed = images.filter((img) => !paletteByImage.has(img));
+  const points = analyzed.map((img) => hexToLabPoint(paletteByImage.get(img)[0].color));
+  const { centroids, assignments } = kMeansLab(points, Math.max(1, clusterCount));
+
+  const groups = centroids.map((centroid) => ({ centroid, entries: [] }));
+  analyzed.forEach((img, i) => groups[assignments[i]].entries.push({ img, point: points[i], index: i }));
+
+  const hueOf = (c) => (Math.atan2(c.b, c.a) * 180 / Math.PI + 360) % 360;
+  const isGray = (c) => Math.hypot(c.a, c.b) < GRAY_CHROMA_THRESHOLD;
+  const ordered = groups
+    .filter((group) => group.entries.length)
+    .sort((a, b) => {
+      if (isGray(a.centroid) !== isGray(b.centroid)) return isGray(a.centroid) ? 1 : -1;
+      if (isGray(a.centroid)) return b.centroid.l - a.centroid.l;
+      return hueOf(a.centroid) - hueOf(b.centroid);
+    })
+    .map((group) => {
+      group.entries.sort((a, b) => (b.point.l - a.point.l) || (a.index - b.index));
+      const pooled = [];
+      for (const { img } of group.entries) {
+        for (const entry of paletteByImage.get(img)) {
+          const point = hexToLabPoint(entry.color, entry.weight);
+          if (point) pooled.push(point);
+        }
+      }
+      return {
+        images: group.entries.map((entry) => entry.img),
+        palette: paletteFromCentroids(kMeansLab(pooled, PALETTE_SIZE).centroids).map((entry) => entry.color),
+      };
+    });
+
+  if (unanalyzed.length) ordered.push({ images: sortByGeometry(unanalyzed), palette: [] });
+  return ordered;
+}
+
+async function alignImagesInColorClusters(groups, config) {
+  const allImages = groups.flatMap((group) => group.images);
+  if (!allImages.length) return [];
+  const parts = groups.map((group) => ({ ...group, ...computeSortingLayout(group.images, config) }));
+  for (const part of parts) await applyResizedSizes(part.images, part.sizes, part.resizeMode);
+
+  const allSizes = parts.flatMap((part) => part.sizes);
+  const avgHeight = allSizes.reduce((sum, size) => sum + size.height, 0) / allSizes.length;
+  const swatchSize = Math.max(SWATCH_MIN_SIZE, Math.round(avgHeight * SWATCH_SIZE_RATIO));
+  const swatchGap = Math.max(config.horizontalGap, swatchSize / 2);
+  const groupGap = Math.max(0, config.clusterGap);
+
+  const centers = [];
+  const swatches = [];
+  let top = 0;
+  let width = 0;
+  for (const part of parts) {
+    const left = swatchSize + swatchGap;
+    part.palette.forEach((color, k) => {
+      swatches.push({ color, center: { x: swatchSize / 2, y: top + k * swatchSize + swatchSize / 2 } });
+    });
+    for (const center of part.layout.centers) centers.push({ x: left + center.x, y: top + center.y });
+    width = Math.max(width, left + part.layout.width);
+    top += Math.max(part.layout.height, part.palette.length * swatchSize) + groupGap;
+  }
+  const layout = { centers, width, height: Math.max(0, top - groupGap) };
+
+  const toBoard = createLayoutPlacement(allImages, allSizes, layout, config.startCorner);
+  for (let i = 0; i < allImages.length; i++) {
+    const target = toBoard(layout.centers[i]);
+    allImages[i].x = target.x;
+    allImages[i].y = target.y;
+  }
+  await Promise.all(allImages.map((img) => img.sync()));
+
+  const createdIds = [];
+  for (const swatch of swatches) {
+    const target = toBoard(swatch.center);
+    try {
+      const shape = await board.createShape({
+        shape: "rectangle",
+        x: target.x,
+        y: target.y,
+        width: swatchSize,
+        height: swatchSize,
+        style: { fillColor: swatch.color, fillOpacity: 1, borderOpacity: 0 },
+      });
+      createdIds.push(shape.id);
+      await shape.setMetadata(META_APP_ID, { swatch: true, color: swatch.color });
+    } catch (e) {
+      console.warn("Sorting: swatch creation failed", { color: swatch.color, error: e });
+    }
+  }
+  return createdIds;
+}
+
+async function orderImagesForSorting(images, { sortMode, sizeMode, sizeOrder, colorCodeTarget, sortChain, signal }) {
+  if (!images.length) return [];
+
+  const readsMetadata = ["number", "color", "hue", "lightness", "chroma", "chain"].includes(sortMode);
+  const metaByImage = readsMetadata ? await readAppMetadataMap(images) : new Map();
+
+  if (sortMode === "chain") {
+    const geoIndex = new Map(sortByGeometry(images).map((img, index) => [img, index]));
+    return sortBySortChain(images, sortChain || [], (img) => {
+      const meta = metaByImage.get(img);
+      const title = getTitle(img);
+      return {
+        name: (meta && meta.fileName) || title.replace(COLOR_CODE_TITLE_RE, ""),
+        width: img.width,
+        height: img.height,
+        colorCode: getMetadataColorCode(meta) || parseColorCodeTitle(title),
+        position: geoIndex.get(img),
+      };
+    });
+  }
+
+  if (sortMode === "number") {
+    const getFileName = (img) => {
+      const meta = metaByImage.get(img);
+      return meta && meta.fileName ? String(meta.fileName) : "";
+    };
+    const hasAnyEmptyTitle = images.some((img) => !getFileName(img) && !getTitle(img));
+    if (hasAnyEmptyTitle) {
+      const geoOrder = sortByGeometry(images);
+      let counter = 1;
+      for (const img of geoOrder) img.title = String(counter++);
+      await Promise.all(geoOrder.map((img) => img.sync()));
+      images = geoOrder;
+    }
+
+    const meta = images.map((img, index) => {
+      const appMeta = metaByImage.get(img);
+      const name = getFileName(img) || getTitle(img);
+      const lower = name.toLowerCase();
+      const num = extractTrailingNumber(name);
+      const tileIndex = appMeta && Number.isFinite(appMeta.tileIndex) ? appMeta.tileIndex : 0;
+      return { img, index, lower, num, hasNumber: num !== null, tileIndex };
+    });
+
+    meta.sort((a, b) => {
+      if (a.hasNumber && !b.hasNumber) return -1;
+      if (!a.hasNumber && b.hasNumber) return 1;
+      if (a.hasNumber && b.hasNumber && a.num !== b.num) return a.num - b.num;
+      if (a.lower < b.lower) return -1;
+      if (a.lower > b.lower) return 1;
+      if (a.tileIndex !== b.tileIndex) return a.tileIndex - b.tileIndex;
+      return a.index - b.index;
+    });
+    return meta.map((m) => m.img);
+  }
+
   if (sortMode === "color") {
+    const codeByImage = new Map();
+    for (const img of images) {
+      const code = getMetadataColorCode(metaByImage.get(img)) || parseColorCodeTitle(getTitle(img));
+      if (code) codeByImage.set(img, code);
+    }
+
+    await analyzeMissingImages(images, (img) => !codeByImage.has(img), async (img, res) => {
+      codeByImage.set(img, res);
+      if (colorCodeTarget === "title") {
+        img.title = `${formatColorCodePrefix(res.satCode, res.briCode)} ${getTitle(img)}`.trim();
+        await img.sync();
+      } else if (colorCodeTarget === "metadata") {
+        await mergeAppMetadata(img, res);
+      }
+    }, signal);
+
     const meta = images.map((img, index) => {
-      const title = getTitle(img);
-      const match = title.match(/^C(\d{2})\/(\d{3})\s+/);
-      if (!match) return { img, index, hasCode: false, group: 1, satCode: null, briCode: null };
-      const satCode = Number.parseInt(match[1], 10);
-      const briCode = Number.parseInt(match[2], 10);
+      const code = codeByImage.get(img);
+      if (!code) return { img, index, hasCode: false, group: 1, satCode: null, briCode: null };
+      const { satCode, briCode } = code;
       const group = satCode <= SAT_GROUP_THRESHOLD ? 0 : 1;
       return { img, index, hasCode: true, satCode, briCode, group };
     });
@@ -373,6 +1463,52 @@ async function orderImagesForSorting(images, { sortMode, sizeMode, sizeOrder })
     return meta.map((m) => m.img);
   }
 
+  if (sortMode === "hue" || sortMode === "lightness" || sortMode === "chroma") {
+    const metricsByImage = new Map();
+    for (const img of images) {
+      const metrics = getMetadataColorMetrics(metaByImage.get(img));
+      if (metrics) metricsByImage.set(img, metrics);
+    }
+
+    await analyzeMissingImages(images, (img) => !metricsByImage.has(img), async (img, res) => {
+      metricsByImage.set(img, res);
+      await mergeAppMetadata(img, res);
+    }, signal);
+
+    const meta = images.map((img, index) => {
+      const metrics = metricsByImage.get(img);
+      if (!metrics) return { img, index, hasMetrics: false };
+      const isGray = metrics.hue === null || metrics.chroma < GRAY_CHROMA_THRESHOLD;
+      return { img, index, hasMetrics: true, isGray, ...metrics };
+    });
+
+    if (!meta.some((m) => m.hasMetrics)) return sortByGeometry(images);
+
+    meta.sort((a, b) => {
+      if (a.hasMetrics !== b.hasMetrics) return a.hasMetrics ? -1 : 1;
+      if (!a.hasMetrics) return a.index - b.index;
+      if (sortMode === "hue") {
+        // Grays have no meaningful hue, so they follow the rainbow as a light-to-dark strip.
+        if (a.isGray !== b.isGray) return a.isGray ? 1 : -1;
+        if (!a.isGray && a.hue !== b.hue) return a.hue - b.hue;
+        if (a.lightness !== b.lightness) return b.lightness - a.lightness;
+        return a.index - b.index;
+      }
+      if (sortMode === "lightness") {
+        if (a.lightness !== b.lightness) return b.lightness - a.lightness;
+        return a.index - b.index;
+      }
+      if (a.chroma !== b.chroma) return b.chroma - a.chroma;
+      if (a.lightness !== b.lightness) return b.lightness - a.lightness;
+      return a.index - b.index;
+    });
+    return meta.map((m) => m.img);
+  }
+
+  if (sortMode === "similarity") {
+    return orderBySimilarity(images, await collectImageHashes(images, signal));
+  }
+
   if (sortMode === "size") {
     const order = sizeOrder === "asc" ? 1 : -1;
     let targetWidth = null;
@@ -410,38 +1546,338 @@ async function orderImagesForSorting(images, { sortMode, sizeMode, sizeOrder })
   return images;
 }
 
+function readSortingForm(form) {
+  const imagesPerRow = Number(form.sortingImagesPerRow.value) || 1;
+  const horizontalGap = Number(form.sortingHorizontalGap.value) || 0;
+  const verticalGap = Number(form.sortingVerticalGap.value) || 0;
+  const sizeMode = form.sortingSizeMode.value;
+  const selectedLayoutMode = form.sortingLayoutMode ? form.sortingLayoutMode.value : "grid";
+  const startCorner = form.sortingStartCorner.value;
+  const fillOrder = form.sortingFillOrder ? form.sortingFillOrder.value : "rows";
+  const cellAlignX = form.sortingCellAlignX ? form.sortingCellAlignX.value : "center";
+  const cellAlignY = form.sortingCellAlignY ? form.sortingCellAlignY.value : "center";
+  const targetRowWidth = form.sortingRowWidth ? Number(form.sortingRowWidth.value) || 0 : 0;
+  const targetRowHeight = form.sortingRowHeight ? Number(form.sortingRowHeight.value) || 0 : 0;
+  const sortModeEl = document.getElementById("sortingSortMode");
+  const sortMode = sortModeEl ? sortModeEl.value : "number";
+  const sizeOrder = form.sortingSizeOrder ? form.sortingSizeOrder.value : "desc";
+  const colorCodeTarget = form.sortingColorCodeTarget ? form.sortingColorCodeTarget.value : "none";
+  const targetAspect = form.sortingCompactAspect ? Number(form.sortingCompactAspect.value) || 0 : 0;
+  const clusterCount = form.sortingClusterCount ? Number(form.sortingClusterCount.value) || 0 : 0;
+  const clusterGap = form.sortingClusterGap ? Number(form.sortingClusterGap.value) || 0 : 0;
+  const layoutMode = sortMode === "compact" ? "compact" : selectedLayoutMode;
+
+  if (imagesPerRow < 1) throw new Error("Rows must be greater than 0");
+  if (layoutMode === "justified" && (targetRowWidth <= 0 || targetRowHeight <= 0)) {
+    throw new Error("Row width and height must be greater than 0");
+  }
+  if (layoutMode === "compact" && targetAspect <= 0) throw new Error("Aspect ratio must be greater than 0");
+  if (sortMode === "cluster" && clusterCount < 1) throw new Error("Color groups must be greater than 0");
+  const sortChain = sortMode === "chain" ? compileSortChain(readSortChain("sortingChainEditor")) : null;
+
+  return {
+    layoutConfig: {
+      imagesPerRow,
+      horizontalGap,
+      verticalGap,
+      sizeMode,
+      layoutMode,
+      startCorner,
+      fillOrder,
+      cellAlignX,
+      cellAlignY,
+      targetRowWidth,
+      targetRowHeight,
+      targetAspect,
+    },
+    layoutMode,
+    sizeMode,
+    sortMode,
+    sizeOrder,
+    colorCodeTarget,
+    clusterCount,
+    clusterGap,
+    sortChain,
+  };
+}
+
+function getSortingOrderSizeMode(layoutMode, sizeMode) {
+  return layoutMode === "masonry" ? "width" : layoutMode === "justified" ? "height" : sizeMode;
+}
+
+// Both caches live until the selection changes, so Align reuses what the live preview analyzed.
+const previewMetadataCache = new Map();
+const imageAnalysisCache = new Map();
+let sortingPreviewController = null;
+
+// Stand-in for a board image: reads pass through, writes stay in the panel.
+function createPreviewSnapshot(img) {
+  return {
+    id: img.id,
+    type: img.type,
+    x: img.x,
+    y: img.y,
+    width: img.width,
+    height: img.height,
+    title: img.title,
+    getMetadata: async (key) => (previewMetadataCache.has(img.id) ? previewMetadataCache.get(img.id) : img.getMetadata(key)),
+    setMetadata: async (key, value) => {
+      previewMetadataCache.set(img.id, value);
+    },
+    getDataUrl: (format) => img.getDataUrl(format),
+    sync: async () => {},
+  };
+}
+
+async function computeSortingPreview(settings, signal) {
+  const selection = await board.getSelection();
+  const images = selection.filter((i) => i.type === "image");
+  if (!images.length) return null;
+  const snapshots = images.map(createPreviewSnapshot);
+  const current = snapshots.map((snap) => ({ x: snap.x, y: snap.y, width: snap.width, height: snap.height }));
+  const ordered = await orderImagesForSorting(snapshots, {
+    sortMode: settings.sortMode,
+    sizeMode: getSortingOrderSizeMode(settings.layoutMode, settings.sizeMode),
+    sizeOrder: settings.sizeOrder,
+    colorCodeTarget: "metadata",
+    sortChain: settings.sortChain,
+    signal,
+  });
+  const { sizes, layout } = computeSortingLayout(ordered, settings.layoutConfig);
+  const toBoard = createLayoutPlacement(ordered, sizes, layout, settings.layoutConfig.startCorner);
+  const targets = ordered.map((snap, i) => ({ ...toBoard(layout.centers[i]), width: sizes[i].width, height: sizes[i].height }));
+  return { current, targets };
+}
+
+function drawSortingPreview(canvas, { current, targets }) {
+  const ctx = canvas.getContext("2d");
+  const toRect = (r) => ({ left: r.x - r.width / 2, top: r.y - r.height / 2, width: r.width, height: r.height });
+  const bounds = getUnionRect([...current, ...targets].map(toRect));
+  const drawWidth = canvas.width - PLAN_CANVAS_PADDING * 2;
+  const drawHeight = canvas.height - PLAN_CANVAS_PADDING * 2;
+  const scale = Math.min(drawWidth / bounds.width, drawHeight / bounds.height);
+  const project = (r) => {
+    const rect = toRect(r);
+    return {
+      x: PLAN_CANVAS_PADDING + (rect.left - bounds.left) * scale,
+      y: PLAN_CANVAS_PADDING + (rect.top - bounds.top) * scale,
+      w: rect.width * scale,
+      h: rect.height * scale,
+    };
+  };
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.lineWidth = 0.5;
+  ctx.strokeStyle = "#d1d5db";
+  for (const r of current) {
+    const p = project(r);
+    ctx.strokeRect(p.x, p.y, p.w, p.h);
+  }
+  ctx.font = "9px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  targets.forEach((r, i) => {
+    const p = project(r);
+    ctx.fillStyle = "rgba(37, 99, 235, 0.3)";
+    ctx.fillRect(p.x, p.y, p.w, p.h);
+    ctx.strokeStyle = "#1d4ed8";
+    ctx.strokeRect(p.x, p.y, p.w, p.h);
+    if (targets.length <= SORTING_PREVIEW_MAX_LABELS) {
+      ctx.fillStyle = "#111827";
+      ctx.fillText(String(i + 1), p.x + p.w / 2, p.y + p.h / 2);
+    }
+  });
+}
+
+async function refreshSortingPreview() {
+  const toggle = document.getElementById("sortingPreviewToggle");
+  const canvas = document.getElementById("sortingPreviewCanvas");
+  const info = document.getElementById("sortingPreviewInfo");
+  const form = document.getElementById("sorting-form");
+  if (!toggle || !canvas || !form) return;
+  canvas.style.display = toggle.checked ? "" : "none";
+  if (info) info.textContent = "";
+  // Each run supersedes the previous one: its analysis stops and its result is dropped.
+  if (sortingPreviewController) sortingPreviewController.abort();
+  sortingPreviewController = null;
+  if (!toggle.checked) return;
+
+  const controller = new AbortController();
+  sortingPreviewController = controller;
+  const showInfo = (text) => {
+    if (controller.signal.aborted) return;
+    if (info) info.textContent = text;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+  };
+  try {
+    const settings = readSortingForm(form);
+    if (settings.sortMode === "cluster") {
+      showInfo("No preview for color groups");
+      return;
+    }
+    const preview = await computeSortingPreview(settings, controller.signal);
+    if (controller.signal.aborted) return;
+    if (!preview) {
+      showInfo("Select images to preview");
+      return;
+    }
+    drawSortingPreview(canvas, preview);
+    if (info) info.textContent = `${preview.targets.length} image${preview.targets.length === 1 ? "" : "s"}`;
+  } catch (e) {
+    showInfo(e && e.message ? e.message : "Preview failed");
+  }
+}
+
+const sortingUndoStack = [];
+const sortingRedoStack = [];
+let sortingHistoryRunning = false;
+let sortingAlignRunning = false;
+
+function snapshotItems(items) {
+  return items.map((item) => ({ id: item.id, x: item.x, y: item.y, width: item.width, height: item.height, title: item.title }));
+}
+
+function updateSortingHistoryButtons() {
+  const undoButton = document.getElementById("sortingUndoButton");
+  const redoButton = document.getElementById("sortingRedoButton");
+  const alignButton = document.getElementById("sortingAlignButton");
+  const busy = sortingHistoryRunning || sortingAlignRunning;
+  if (undoButton) undoButton.disabled = busy || !sortingUndoStack.length;
+  if (redoButton) redoButton.disabled = busy || !sortingRedoStack.length;
+  if (alignButton) alignButton.disabled = busy;
+}
+
+function pushSortingUndo(snapshot) {
+  sortingUndoStack.push(snapshot);
+  if (sortingUndoStack.length > SORTING_HISTORY_LIMIT) sortingUndoStack.shift();
+  sortingRedoStack.length = 0;
+  updateSortingHistoryButtons();
+}
+
+// Restores saved geometry and titles and removes items the run created (color swatches).
+// Returns the state it replaced so the step can be reversed.
+async function restoreItemSnapshots(snapshot) {
+  const found = [];
+  await runWithConcurrency(snapshot.items, async (saved) => {
+    try {
+      const item = await board.getById(saved.id);
+      if (item) found.push({ item, saved });
+    } catch (_) {}
+  }, ITEM_LOOKUP_CONCURRENCY);
+  const replaced = snapshotItems(found.map(({ item }) => item));
+  for (let i = 0; i < found.length; i += SYNC_BATCH_SIZE) {
+    const batch = found.slice(i, i + SYNC_BATCH_SIZE);
+    for (const { item, saved } of batch) {
+      // Images keep their aspect ratio, so width alone brings the height back.
+      if (item.type === "image") item.width = saved.width;
+      else {
+        item.width = saved.width;
+        item.height = saved.height;
+      }
+      item.x = saved.x;
+      item.y = saved.y;
+      item.title = saved.title;
+    }
+    await Promise.all(batch.map(({ item }) => item.sync()));
+    setSortingProgress(Math.min(i + SYNC_BATCH_SIZE, found.length), found.length, "Restoring…");
+  }
+  const created = [];
+  await runWithConcurrency(snapshot.createdIds, async (id) => {
+    try {
+      const item = await board.getById(id);
+      if (item) created.push(item);
+    } catch (_) {}
+  }, ITEM_LOOKUP_CONCURRENCY);
+  // Removed swatches are kept as shape data so the opposite step can put them back.
+  const removedShapes = await Promise.all(created.map(snapshotShape));
+  if (created.length) await removeItemsInBatches(created);
+  const recreatedIds = [];
+  for (const saved of snapshot.recreate) {
+    try {
+      const shape = await board.createShape({ shape: saved.shape, x: saved.x, y: saved.y, width: saved.width, height: saved.height, style: saved.style });
+      recreatedIds.push(shape.id);
+      if (saved.metadata) await shape.setMetadata(META_APP_ID, saved.metadata);
+    } catch (e) {
+      console.warn("Sorting: shape restore failed", { shape: saved, error: e });
+    }
+  }
+  setSortingProgress(0, 0);
+  return { replaced: { items: replaced, createdIds: recreatedIds, recreate: removedShapes }, missing: snapshot.items.length - found.length };
+}
+
+async function snapshotShape(item) {
+  let metadata = null;
+  try {
+    metadata = await item.getMetadata(META_APP_ID);
+  } catch (_) {}
+  return { shape: item.shape, x: item.x, y: item.y, width: item.width, height: item.height, style: { ...item.style }, metadata };
+}
+
+async function stepSortingHistory(fromStack, toStack, label) {
+  if (sortingHistoryRunning || sortingAlignRunning || !fromStack.length) return;
+  sortingHistoryRunning = true;
+  updateSortingHistoryButtons();
+  const snapshot = fromStack.pop();
+  try {
+    const { replaced, missing } = await restoreItemSnapshots(snapshot);
+    toStack.push(replaced);
+    if (missing) await notifyWarning(`${label}: ${missing} item${missing === 1 ? "" : "s"} no longer on the board`);
+    else await notifyInfo(`${label}: restored ${replaced.items.length} image${replaced.items.length === 1 ? "" : "s"}`);
+  } catch (e) {
+    fromStack.push(snapshot);
+    setSortingProgress(0, 0);
+    await notifyError(`${label} failed`, e);
+  } finally {
+    sortingHistoryRunning = false;
+    updateSortingHistoryButtons();
+    refreshSortingPreview();
+  }
+}
+
 async function handleSortingSubmit(event) {
   event.preventDefault();
+  if (sortingHistoryRunning || sortingAlignRunning) return;
   try {
     const form = document.getElementById("sorting-form");
     if (!form) return;
 
-    const imagesPerRow = Number(form.sortingImagesPerRow.value) || 1;
-    const horizontalGap = Number(form.sortingHorizontalGap.value) || 0;
-    const verticalGap = Number(form.sortingVerticalGap.value) || 0;
-    const sizeMode = form.sortingSizeMode.value;
-    const startCorner = form.sortingStartCorner.value;
-    const sortModeEl = document.getElementById("sortingSortMode");
-    const sortMode = sortModeEl ? sortModeEl.value : "number";
-    const sizeOrder = form.sortingSizeOrder ? form.sortingSizeOrder.value : "desc";
-
     const selection = await board.getSelection();
     const images = selection.filter((i) => i.type === "image");
     if (!images.length) {
       await notifyInfo("Select at least one image");
       return;
     }
-    if (imagesPerRow < 1) {
-      await notifyError("Rows must be greater than 0");
+    let settings;
+    try {
+      settings = readSortingForm(form);
+    } catch (e) {
+      await notifyError(e.message);
+      return;
+    }
+    const { layoutConfig, layoutMode, sizeMode, sortMode, sizeOrder, colorCodeTarget, clusterCount, clusterGap, sortChain } = settings;
+
+    sortingAlignRunning = true;
+    const undoEntry = { items: snapshotItems(images), createdIds: [], recreate: [] };
+    pushSortingUndo(undoEntry);
+
+    if (sortMode === "cluster") {
+      const groups = await clusterImagesByColor(images, clusterCount);
+      undoEntry.createdIds = await alignImagesInColorClusters(groups, { ...layoutConfig, clusterGap });
+      await notifyInfo(`Grouped ${images.length} image${images.length === 1 ? "" : "s"} into ${groups.length} color group${groups.length === 1 ? "" : "s"}`);
       return;
     }
 
-    const orderedImages = await orderImagesForSorting(images, { sortMode, sizeMode, sizeOrder });
-    await alignImagesInGivenOrder(orderedImages, { imagesPerRow, horizontalGap, verticalGap, sizeMode, startCorner });
+    const orderSizeMode = getSortingOrderSizeMode(layoutMode, sizeMode);
+    const orderedImages = await orderImagesForSorting(images, { sortMode, sizeMode: orderSizeMode, sizeOrder, colorCodeTarget, sortChain });
+    await alignImagesInGivenOrder(orderedImages, layoutConfig);
     await notifyInfo(`Aligned ${orderedImages.length} image${orderedImages.length === 1 ? "" : "s"}`);
   } catch (err) {
     console.error(err);
+    setSortingProgress(0, 0);
     await notifyError("Align images failed", err);
+  } finally {
+    sortingAlignRunning = false;
+    updateSortingHistoryButtons();
+    refreshSortingPreview();
   }
 }
 
@@ -453,30 +1889,66 @@ function sortFilesByNameWithNumber(files) {
     return { file, index, lower, num, hasNumber: num !== null };
   });
 
-  const anyHasNumber = arr.some((m) => m.hasNumber);
-  if (!anyHasNumber) {
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-  } else {
-    arr.sort((a, b) => {
-      if (a.hasNumber && !b.hasNumber) return -1;
-      if (!a.hasNumber && b.hasNumber) return 1;
-      if (a.hasNumber && b.hasNumber) {
-        if (a.num !== b.num) return a.num - b.num;
-        if (a.lower < b.lower) return -1;
-        if (a.lower > b.lower) return 1;
-        return a.index - b.index;
-      }
+  arr.sort((a, b) => {
+    if (a.hasNumber && !b.hasNumber) return -1;
+    if (!a.hasNumber && b.hasNumber) return 1;
+    if (a.hasNumber && b.hasNumber) {
+      if (a.num !== b.num) return a.num - b.num;
       if (a.lower < b.lower) return -1;
       if (a.lower > b.lower) return 1;
       return a.index - b.index;
-    });
-  }
+    }
+    if (a.lower < b.lower) return -1;
+    if (a.lower > b.lower) return 1;
+    return a.index - b.index;
+  });
   return arr.map((m) => m.file);
 }
 
+function createSeededRandom(seed) {
+  // mulberry32: tiny, fast and good enough to make a shuffle reproducible.
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateImportSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+function orderImportFiles(files, { orderMode, seed, sortChain, infoByFile }) {
+  const list = Array.from(files);
+  if (orderMode === "random") {
+    const random = createSeededRandom(seed);
+    const arr = sortFilesByNameWithNumber(list);
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  const chain = orderMode === "chain" ? sortChain : IMPORT_ORDER_CHAINS[orderMode];
+  if (!chain || !chain.length) return sortFilesByNameWithNumber(list);
+  return sortBySortChain(list, chain, (file, index) => {
+    const info = infoByFile ? infoByFile.get(file) : null;
+    return {
+      name: file.name || "",
+      width: info ? info.width : null,
+      height: info ? info.height : null,
+      colorCode: info ? { satCode: info.satCode, briCode: info.briCode } : null,
+      position: index,
+      modified: file.lastModified,
+      bytes: file.size,
+    };
+  });
+}
+
 function canvasToDataUrlUnderLimit(canvas) {
   const q = 0.8;
   const dataUrl = canvas.toDataURL("image/jpeg", q);
@@ -512,91 +1984,430 @@ function rgbaBufferToPngBlob(buffer, width, height) {
   });
 }
 
-function computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY) {
-  const totalSlots = orderedInfos.length;
-  if (!totalSlots) return [];
+function computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY, gridOptions = {}) {
+  if (!orderedInfos.length) return [];
+  const { fillOrder, layoutMode, cellAlignX, cellAlignY, horizontalGap = 0, verticalGap = 0 } = gridOptions;
+  const layoutConfig = { imagesPerRow, horizontalGap, verticalGap, fillOrder };
+  const layout = layoutMode === "table"
+    ? computeTableLayout(orderedInfos, { ...layoutConfig, ...getCellAlignForCorner(cellAlignX, cellAlignY, startCorner) })
+    : computeRowLayout(orderedInfos, layoutConfig);
+
+  const { flipX, flipY } = getCornerFlip(startCorner);
+  return layout.centers.map((center) => {
+    let x0 = center.x - layout.width / 2;
+    let y0 = center.y - layout.height / 2;
+    if (flipX) x0 = -x0;
+    if (flipY) y0 = -y0;
+    return { x: viewCenterX + x0, y: viewCenterY + y0 };
+  });
+}
+
+function computeSkipMissingSlotCenters(tileInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY, gridOptions = {}) {
+  if (!tileInfos.length) return new Map();
   const cols = Math.max(1, imagesPerRow);
-  const rows = Math.ceil(totalSlots / cols);
-  const rowHeights = new Array(rows).fill(0);
-  const rowWidths = new Array(rows).fill(0);
+  const cellInfos = tileInfos.map(({ info, num }) => ({ info, ...getGridCell(num, cols, gridOptions.fillOrder) }));
+  return computeCellSlotCenters(cellInfos, startCorner, viewCenterX, viewCenterY, gridOptions);
+}
 
-  for (let i = 0; i < totalSlots; i++) {
-    const r = Math.floor(i / cols);
-    const info = orderedInfos[i];
-    if (info.height > rowHeights[r]) rowHeights[r] = info.height;
-    if (rowWidths[r] > 0) rowWidths[r] += 0;
-    rowWidths[r] += info.width;
+// Board-space bounds of every planned tile, grown by `margin` on each side.
+function computeJobBounds(jobs, margin = 0) {
+  if (!jobs.length) return null;
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+  for (const job of jobs) {
+    const w = job.kind === "tile" ? job.sw : job.width;
+    const h = job.kind === "tile" ? job.sh : job.height;
+    left = Math.min(left, job.x - w / 2);
+    top = Math.min(top, job.y - h / 2);
+    right = Math.max(right, job.x + w / 2);
+    bottom = Math.max(bottom, job.y + h / 2);
   }
+  return { left: left - margin, top: top - margin, width: right - left + 2 * margin, height: bottom - top + 2 * margin };
+}
 
-  const gridWidth = rowWidths.length ? Math.max(...rowWidths) : 0;
-  const gridHeight = rowHeights.reduce((sum, h) => sum + h, 0);
-  const rowTop = new Array(rows).fill(0);
-  for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1];
+function getItemRect(item) {
+  if (!item || !Number.isFinite(item.x) || !Number.isFinite(item.y)) return null;
+  if (!Number.isFinite(item.width) || !Number.isFinite(item.height)) return null;
+  return { left: item.x - item.width / 2, top: item.y - item.height / 2, width: item.width, height: item.height };
+}
+
+function getUnionRect(rects) {
+  if (!rects.length) return null;
+  const left = Math.min(...rects.map((r) => r.left));
+  const top = Math.min(...rects.map((r) => r.top));
+  const right = Math.max(...rects.map((r) => r.left + r.width));
+  const bottom = Math.max(...rects.map((r) => r.top + r.height));
+  return { left, top, width: right - left, height: bottom - top };
+}
 
-  const baseX = new Array(totalSlots).fill(0);
-  const baseY = new Array(totalSlots).fill(0);
-  const rowCursorX = new Array(rows).fill(0);
+function rectsOverlap(a, b, gap = 0) {
+  return a.left < b.left + b.width + gap && b.left < a.left + a.width + gap
+    && a.top < b.top + b.height + gap && b.top < a.top + a.height + gap;
+}
 
-  for (let i = 0; i < totalSlots; i++) {
-    const r = Math.floor(i / cols);
-    const info = orderedInfos[i];
-    baseY[i] = rowTop[r] + rowHeights[r] / 2;
-    baseX[i] = rowCursorX[r] + info.width / 2;
-    rowCursorX[r] += info.width;
+// Nearest top-left position to `near` where a width x height rectangle clears every occupied rect.
+function findEmptyArea(occupied, width, height, near, gap = PLACEMENT_GAP) {
+  const start = { left: near.x - width / 2, top: near.y - height / 2 };
+  const candidates = [start];
+  for (const r of occupied) {
+    candidates.push(
+      { left: r.left + r.width + gap, top: r.top },
+      { left: r.left, top: r.top + r.height + gap },
+      { left: r.left + r.width + gap, top: start.top },
+      { left: start.left, top: r.top + r.height + gap },
+      { left: r.left - width - gap, top: r.top },
+      { left: r.left, top: r.top - height - gap },
+    );
+    if (candidates.length >= EMPTY_AREA_MAX_CANDIDATES) break;
   }
+  const distance = (c) => Math.hypot(c.left + width / 2 - near.x, c.top + height / 2 - near.y);
+  candidates.sort((a, b) => distance(a) - distance(b));
+  for (const c of candidates) {
+    const rect = { left: c.left, top: c.top, width, height };
+    if (!occupied.some((r) => rectsOverlap(rect, r, gap))) return c;
+  }
+  const all = getUnionRect(occupied);
+  return all ? { left: all.left + all.width + gap, top: all.top } : start;
+}
 
-  const { flipX, flipY } = getCornerFlip(startCorner);
-  const centers = [];
-  for (let i = 0; i < totalSlots; i++) {
-    let x0 = baseX[i] - gridWidth / 2;
-    let y0 = baseY[i] - gridHeight / 2;
-    if (flipX) x0 = -x0;
-    if (flipY) y0 = -y0;
-    centers.push({ x: viewCenterX + x0, y: viewCenterY + y0 });
+// Resolves the board center for a mosaic of the given bounds; `frame` is set when tiles belong in a selected frame.
+async function resolveImportPlacement(mode, bounds, { viewCenter, coordinates }) {
+  if (mode === "coordinates") {
+    if (!coordinates || !Number.isFinite(coordinates.x) || !Number.isFinite(coordinates.y)) {
+      throw new Error("Enter board coordinates for placement");
+    }
+    return { center: coordinates, frame: null };
+  }
+  if (mode === "right" || mode === "below" || mode === "frame") {
+    const selection = await board.getSelection();
+    if (mode === "frame") {
+      const frame = selection.find((item) => item.type === "frame");
+      if (!frame) throw new Error("Select a frame to import into");
+      if (bounds.width > frame.width || bounds.height > frame.height) {
+        await notifyWarning("Import is larger than the selected frame");
+      }
+      return { center: { x: frame.x, y: frame.y }, frame };
+    }
+    const selected = getUnionRect(selection.map(getItemRect).filter(Boolean));
+    if (!selected) throw new Error("Select items to place the import next to");
+    if (mode === "right") {
+      return {
+        center: { x: selected.left + selected.width + PLACEMENT_GAP + bounds.width / 2, y: selected.top + bounds.height / 2 },
+        frame: null,
+      };
+    }
+    return {
+      center: { x: selected.left + bounds.width / 2, y: selected.top + selected.height + PLACEMENT_GAP + bounds.height / 2 },
+      frame: null,
+    };
   }
-  return centers;
+  if (mode === "empty") {
+    const items = await board.get();
+    const occupied = items.filter((item) => !item.parentId).map(getItemRect).filter(Boolean);
+    const spot = findEmptyArea(occupied, bounds.width, bounds.height, viewCenter);
+    return { center: { x: spot.left + bounds.width / 2, y: spot.top + bounds.height / 2 }, frame: null };
+  }
+  return { center: viewCenter, frame: null };
 }
 
-function computeSkipMissingSlotCenters(tileInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY) {
-  if (!tileInfos.length) return [];
-  const cols = Math.max(1, imagesPerRow);
-  const cellWidth = tileInfos[0].info.width;
-  const cellHeight = tileInfos[0].info.height;
-  let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
-
-  for (const { num } of tileInfos) {
-    const row = Math.floor(num / cols);
-    const col = num % cols;
-    if (row < minRow) minRow = row;
-    if (row > maxRow) maxRow = row;
-    if (col < minCol) minCol = col;
-    if (col > maxCol) maxCol = col;
-  }
-
-  const normCols = Math.max(1, maxCol - minCol + 1);
-  const normRows = Math.max(1, maxRow - minRow + 1);
-  const gridWidth = normCols * cellWidth;
-  const gridHeight = normRows * cellHeight;
-  let flipX = false;
-  let flipY = false;
-  switch (startCorner) {
-    case "top-right": flipX = true; break;
-    case "bottom-left": flipY = true; break;
-    case "bottom-right": flipX = true; flipY = true; break;
-    default: break;
+function getImportFolderName(files) {
+  for (const file of files) {
+    const path = getRelativePath(file);
+    const slash = path.indexOf("/");
+    if (slash > 0) return path.slice(0, slash);
+  }
+  return "Import";
+}
+
+function formatFrameTitle(template, values) {
+  const source = String(template || "").trim() || DEFAULT_FRAME_TITLE_TEMPLATE;
+  return source.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+}
+
+function offsetImportPlan(jobs, bounds, center) {
+  const dx = center.x - (bounds.left + bounds.width / 2);
+  const dy = center.y - (bounds.top + bounds.height / 2);
+  for (const job of jobs) {
+    job.x += dx;
+    job.y += dy;
+  }
+  return { ...bounds, left: bounds.left + dx, top: bounds.top + dy };
+}
+
+function computeMosaicOrigins(colWidths, rowHeights, center) {
+  const mosaicW = colWidths.reduce((sum, w) => sum + w, 0);
+  const mosaicH = rowHeights.reduce((sum, h) => sum + h, 0);
+  const colPrefix = [0];
+  for (let tx = 1; tx < colWidths.length; tx++) colPrefix[tx] = colPrefix[tx - 1] + colWidths[tx - 1];
+  const rowPrefix = [0];
+  for (let ty = 1; ty < rowHeights.length; ty++) rowPrefix[ty] = rowPrefix[ty - 1] + rowHeights[ty - 1];
+  return { mosaicW, mosaicH, mosaicLeft: center.x - mosaicW / 2, mosaicTop: center.y - mosaicH / 2, colPrefix, rowPrefix };
+}
+
+function isImageFileName(name) {
+  return /\.(png|jpe?g|webp|gif|bmp|avif)$/i.test(String(name || ""));
+}
+
+function getRelativePath(file) {
+  return String((file && (file.webkitRelativePath || file.name)) || "");
+}
+
+// Recognizes XYZ map tiles (z/x/y.png) and DeepZoom pyramids (name.dzi + name_files/level/col_row.jpg).
+function detectTilePyramid(files) {
+  const list = Array.from(files);
+  const dziFile = list.find((file) => /\.dzi$/i.test(file.name || ""));
+  if (dziFile) {
+    const base = dziFile.name.replace(/\.dzi$/i, "");
+    const tileRe = new RegExp(`(?:^|/)${base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}_files/(\\d+)/(\\d+)_(\\d+)\\.[^./]+$`);
+    const levels = new Map();
+    for (const file of list) {
+      const match = getRelativePath(file).match(tileRe);
+      if (!match) continue;
+      const level = Number.parseInt(match[1], 10);
+      if (!levels.has(level)) levels.set(level, []);
+      levels.get(level).push({ file, col: Number.parseInt(match[2], 10), row: Number.parseInt(match[3], 10) });
+    }
+    if (levels.size && isContiguousPyramid(levels)) return { kind: "dzi", descriptorFile: dziFile, levels };
+  }
+
+  const imageFiles = list.filter((file) => isImageFileName(file.name));
+  if (!imageFiles.length) return null;
+  const xyzRe = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.[^./]+$/;
+  const levels = new Map();
+  for (const file of imageFiles) {
+    const match = getRelativePath(file).match(xyzRe);
+    if (!match) return null;
+    const z = Number.parseInt(match[1], 10);
+    if (!levels.has(z)) levels.set(z, []);
+    levels.get(z).push({ file, col: Number.parseInt(match[2], 10), row: Number.parseInt(match[3], 10) });
+  }
+  return isContiguousPyramid(levels) && hasXyzParentTiles(levels) ? { kind: "xyz", levels } : null;
+}
+
+// Real pyramids have no holes: levels follow each other and every level covers a full column/row range.
+function isContiguousPyramid(levels) {
+  const isRange = (values) => {
+    const unique = Array.from(new Set(values)).sort((a, b) => a - b);
+    return unique[unique.length - 1] - unique[0] === unique.length - 1;
+  };
+  if (!isRange(Array.from(levels.keys()))) return false;
+  for (const tiles of levels.values()) {
+    if (!isRange(tiles.map((tile) => tile.col)) || !isRange(tiles.map((tile) => tile.row))) return false;
+  }
+  return true;
+}
+
+// Every XYZ tile is a quarter of the tile at (x/2, y/2) one level up; date folders like 2024/05/12.jpg are not.
+function hasXyzParentTiles(levels) {
+  for (const [z, tiles] of levels) {
+    const parents = levels.get(z - 1);
+    if (!parents) continue;
+    const parentKeys = new Set(parents.map((tile) => `${tile.col}/${tile.row}`));
+    if (tiles.some((tile) => !parentKeys.has(`${tile.col >> 1}/${tile.row >> 1}`))) return false;
+  }
+  return true;
+}
+
+function describeTilePyramid(pyramid) {
+  const levels = Array.from(pyramid.levels.keys()).sort((a, b) => a - b);
+  const kindLabel = pyramid.kind === "dzi" ? "DeepZoom" : "XYZ tiles";
+  const levelLabel = levels.length === 1 ? `level ${levels[0]}` : `${levels.length} levels, ${levels[0]}–${levels[levels.length - 1]}`;
+  return `${kindLabel}, ${levelLabel} (empty = ${levels[levels.length - 1]})`;
+}
+
+function parseDziDescriptor(text) {
+  const raw = String(text || "").trim();
+  if (raw.startsWith("{")) {
+    const json = JSON.parse(raw);
+    const image = json.Image || json;
+    const size = image.Size || {};
+    return {
+      tileSize: Number(image.TileSize),
+      overlap: Number(image.Overlap) || 0,
+      width: Number(size.Width),
+      height: Number(size.Height),
+    };
+  }
+  const doc = new DOMParser().parseFromString(raw, "application/xml");
+  const image = doc.getElementsByTagName("Image")[0];
+  const size = doc.getElementsByTagName("Size")[0];
+  if (!image || !size) throw new Error("Invalid .dzi descriptor");
+  return {
+    tileSize: Number(image.getAttribute("TileSize")),
+    overlap: Number(image.getAttribute("Overlap")) || 0,
+    width: Number(size.getAttribute("Width")),
+    height: Number(size.getAttribute("Height")),
+  };
+}
+
+async function preparePyramidImport(pyramid, requestedLevel) {
+  const available = Array.from(pyramid.levels.keys()).sort((a, b) => a - b);
+  const level = Number.isFinite(requestedLevel) ? requestedLevel : available[available.length - 1];
+  const tiles = pyramid.levels.get(level);
+  if (!tiles || !tiles.length) {
+    throw new Error(`Zoom level ${level} not found (available: ${available.join(", ")})`);
+  }
+
+  const plan = { kind: pyramid.kind, level, tiles, tileSize: null, overlap: 0, colWidths: null, rowHeights: null };
+  if (pyramid.kind === "dzi") {
+    const descriptor = parseDziDescriptor(await pyramid.descriptorFile.text());
+    if (!(descriptor.tileSize > 0) || !(descriptor.width > 0) || !(descriptor.height > 0)) {
+      throw new Error("Invalid .dzi descriptor");
+    }
+    const maxLevel = Math.ceil(Math.log2(Math.max(descriptor.width, descriptor.height)));
+    const scale = Math.pow(2, maxLevel - level);
+    const levelW = Math.ceil(descriptor.width / scale);
+    const levelH = Math.ceil(descriptor.height / scale);
+    const cols = Math.ceil(levelW / descriptor.tileSize);
+    const rows = Math.ceil(levelH / descriptor.tileSize);
+    plan.tileSize = descriptor.tileSize;
+    plan.overlap = descriptor.overlap;
+    plan.colWidths = Array.from({ length: cols }, (_, c) => Math.min(descriptor.tileSize, levelW - c * descriptor.tileSize));
+    plan.rowHeights = Array.from({ length: rows }, (_, r) => Math.min(descriptor.tileSize, levelH - r * descriptor.tileSize));
+  }
+
+  plan.files = tiles.map((tile) => tile.file);
+  plan.nameByFile = new Map(tiles.map((tile) => [tile.file, getRelativePath(tile.file)]));
+  return plan;
+}
+
+// XYZ tiles all share one size. DeepZoom tiles may be cut short at the right and bottom edges but never
+// exceed the descriptor tile size plus overlap on both sides.
+function findPyramidTileSizeMismatch(plan, infoByFile) {
+  const infos = plan.tiles.map((tile) => infoByFile.get(tile.file)).filter(Boolean);
+  if (!infos.length) return null;
+  if (plan.kind === "dzi") {
+    const maxSize = plan.tileSize + plan.overlap * 2;
+    const oversized = infos.find((info) => info.width > maxSize || info.height > maxSize);
+    return oversized ? `${oversized.file.name} is ${oversized.width}×${oversized.height}, larger than the ${plan.tileSize}px tiles in the .dzi` : null;
+  }
+  const { width, height } = infos[0];
+  const odd = infos.find((info) => info.width !== width || info.height !== height);
+  return odd ? `${odd.file.name} is ${odd.width}×${odd.height}, other tiles are ${width}×${height}` : null;
+}
+
+// Reassembles one pyramid level with the same prefix-sum placement the sliced path uses.
+// DeepZoom tiles carry `overlap` extra pixels on every inner edge, so they start that much earlier.
+function computePyramidSlotCenters(plan, infoByFile, viewCenterX, viewCenterY) {
+  const placed = plan.tiles.filter((tile) => infoByFile.has(tile.file));
+  const centersByFile = new Map();
+  if (!placed.length) return centersByFile;
+  const minCol = plan.colWidths ? 0 : Math.min(...placed.map((t) => t.col));
+  const minRow = plan.rowHeights ? 0 : Math.min(...placed.map((t) => t.row));
+
+  let colWidths = plan.colWidths;
+  let rowHeights = plan.rowHeights;
+  if (!colWidths || !rowHeights) {
+    const cols = Math.max(...placed.map((t) => t.col)) - minCol + 1;
+    const rows = Math.max(...placed.map((t) => t.row)) - minRow + 1;
+    const typical = infoByFile.get(placed[0].file);
+    colWidths = new Array(cols).fill(0);
+    rowHeights = new Array(rows).fill(0);
+    for (const tile of placed) {
+      const info = infoByFile.get(tile.file);
+      colWidths[tile.col - minCol] = Math.max(colWidths[tile.col - minCol], info.width);
+      rowHeights[tile.row - minRow] = Math.max(rowHeights[tile.row - minRow], info.height);
+    }
+    for (let c = 0; c < cols; c++) if (!colWidths[c]) colWidths[c] = typical.width;
+    for (let r = 0; r < rows; r++) if (!rowHeights[r]) rowHeights[r] = typical.height;
+  }
+
+  const { mosaicLeft, mosaicTop, colPrefix, rowPrefix } = computeMosaicOrigins(colWidths, rowHeights, { x: viewCenterX, y: viewCenterY });
+  for (const tile of placed) {
+    const c = tile.col - minCol;
+    const r = tile.row - minRow;
+    if (c < 0 || r < 0 || c >= colWidths.length || r >= rowHeights.length) continue;
+    const info = infoByFile.get(tile.file);
+    const tileLeft = mosaicLeft + colPrefix[c] - (c > 0 ? plan.overlap : 0);
+    const tileTop = mosaicTop + rowPrefix[r] - (r > 0 ? plan.overlap : 0);
+    centersByFile.set(tile.file, { x: tileLeft + info.width / 2, y: tileTop + info.height / 2 });
+  }
+  return centersByFile;
+}
+
+function compileNameTemplate(template) {
+  const source = String(template || "").trim();
+  if (!source) return null;
+  let pattern = "";
+  const groups = [];
+  let last = 0;
+  const tokenRe = /\{(\w*)\}/g;
+  let match;
+  while ((match = tokenRe.exec(source))) {
+    pattern += source.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const token = match[1].toLowerCase();
+    if (token === "row" || token === "col") {
+      pattern += "(\\d+)";
+      groups.push(token);
+    } else {
+      pattern += ".*?";
+    }
+    last = tokenRe.lastIndex;
+  }
+  pattern += source.slice(last).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (!groups.includes("row") || !groups.includes("col")) {
+    throw new Error("Name template needs {row} and {col}");
+  }
+  return { regex: new RegExp(`^${pattern}$`, "i"), groups };
+}
+
+function matchNameTemplate(compiled, fileName) {
+  const name = String(fileName || "");
+  const baseName = name.replace(/\.[^.]*$/, "");
+  const match = name.match(compiled.regex) || baseName.match(compiled.regex);
+  if (!match) return null;
+  const cell = {};
+  compiled.groups.forEach((group, k) => {
+    cell[group] = Number.parseInt(match[k + 1], 10);
+  });
+  return { row: cell.row, col: cell.col };
+}
+
+// Places files at explicit grid cells. Each column is as wide as its widest file and each row as tall
+// as its tallest; empty columns and rows get the median cell size so gaps stay visible without one
+// oversized file blowing them up.
+function computeCellSlotCenters(cellInfos, startCorner, viewCenterX, viewCenterY, { horizontalGap = 0, verticalGap = 0 } = {}) {
+  const centersByFile = new Map();
+  if (!cellInfos.length) return centersByFile;
+  const minRow = Math.min(...cellInfos.map((c) => c.row));
+  const minCol = Math.min(...cellInfos.map((c) => c.col));
+  const rows = Math.max(...cellInfos.map((c) => c.row)) - minRow + 1;
+  const cols = Math.max(...cellInfos.map((c) => c.col)) - minCol + 1;
+  const colWidths = new Array(cols).fill(0);
+  const rowHeights = new Array(rows).fill(0);
+  for (const { info, row, col } of cellInfos) {
+    colWidths[col - minCol] = Math.max(colWidths[col - minCol], info.width);
+    rowHeights[row - minRow] = Math.max(rowHeights[row - minRow], info.height);
   }
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  };
+  const fallbackWidth = median(cellInfos.map((c) => c.info.width));
+  const fallbackHeight = median(cellInfos.map((c) => c.info.height));
+  for (let c = 0; c < cols; c++) if (!colWidths[c]) colWidths[c] = fallbackWidth;
+  for (let r = 0; r < rows; r++) if (!rowHeights[r]) rowHeights[r] = fallbackHeight;
+
+  const colLeft = [0];
+  for (let c = 1; c < cols; c++) colLeft[c] = colLeft[c - 1] + colWidths[c - 1] + horizontalGap;
+  const rowTop = [0];
+  for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+  const gridWidth = colLeft[cols - 1] + colWidths[cols - 1];
+  const gridHeight = rowTop[rows - 1] + rowHeights[rows - 1];
 
-  const centersByFileId = new Map();
-  for (const { info, num } of tileInfos) {
-    let row = Math.floor(num / cols) - minRow;
-    let col = (num % cols) - minCol;
-    if (flipX) col = normCols - 1 - col;
-    if (flipY) row = normRows - 1 - row;
-    const left = viewCenterX - gridWidth / 2 + col * cellWidth;
-    const top = viewCenterY - gridHeight / 2 + row * cellHeight;
-    centersByFileId.set(info.file, { x: left + cellWidth / 2, y: top + cellHeight / 2 });
+  const { flipX, flipY } = getCornerFlip(startCorner);
+  for (const { info, row, col } of cellInfos) {
+    const c = col - minCol;
+    const r = row - minRow;
+    let x0 = colLeft[c] + colWidths[c] / 2 - gridWidth / 2;
+    let y0 = rowTop[r] + rowHeights[r] / 2 - gridHeight / 2;
+    if (flipX) x0 = -x0;
+    if (flipY) y0 = -y0;
+    centersByFile.set(info.file, { x: viewCenterX + x0, y: viewCenterY + y0 });
   }
-  return centersByFileId;
+  return centersByFile;
 }
 
 function createHugeSliceManager() {
@@ -695,11 +2506,297 @@ function createHugeSliceManager() {
   return { openFile, renderTile, closeFile, disposeAll };
 }
 
-async function handleStitchSubmit(event) {
-  event.preventDefault();
+let importRemovalRunning = false;
+let lastFailedImport = null;
+
+function openResumeDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(RESUME_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(RESUME_STORE_NAME, { keyPath: "fingerprint" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runResumeStore(mode, action) {
+  const db = await openResumeDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(RESUME_STORE_NAME, mode);
+      const request = action(tx.objectStore(RESUME_STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function loadResumeRecord(fingerprint) {
+  return runResumeStore("readonly", (store) => store.get(fingerprint));
+}
+
+function saveResumeRecord(record) {
+  return runResumeStore("readwrite", (store) => store.put(record));
+}
+
+function deleteResumeRecord(fingerprint) {
+  return runResumeStore("readwrite", (store) => store.delete(fingerprint));
+}
+
+async function computeImportFingerprint(files, settings) {
+  const fileKeys = Array.from(files).map((file) => `${getRelativePath(file)}|${file.size}|${file.lastModified}`).sort();
+  const text = JSON.stringify({ files: fileKeys, settings });
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function getJobResumeKey(job) {
+  return `${getRelativePath(job.file)}#${job.kind === "tile" ? job.tileIndex : 0}`;
+}
+
+function generateImportId() {
+  return `imp-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}
+
+let importHistoryKey = null;
+
+// History is kept per board; item IDs from another board cannot be removed here.
+async function resolveImportHistoryKey() {
+  if (importHistoryKey) return importHistoryKey;
+  try {
+    const info = await board.getInfo();
+    importHistoryKey = `${IMPORT_HISTORY_KEY}.${info.id}`;
+  } catch (e) {
+    console.warn("Import history: board id unavailable", e);
+  }
+  return importHistoryKey;
+}
+
+function loadImportHistory() {
+  if (!importHistoryKey) return [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(importHistoryKey) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry && entry.importId && Array.isArray(entry.itemIds)) : [];
+  } catch (e) {
+    console.warn("Import history could not be read:", e);
+    return [];
+  }
+}
+
+function saveImportHistory(entries) {
+  if (!importHistoryKey) return;
+  try {
+    localStorage.setItem(importHistoryKey, JSON.stringify(entries.slice(-IMPORT_HISTORY_LIMIT)));
+  } catch (e) {
+    console.warn("Import history could not be saved:", e);
+  }
+}
+
+async function recordImportHistory(entry) {
+  await resolveImportHistoryKey();
+  const entries = loadImportHistory();
+  const previous = entries.find((e) => e.importId === entry.importId);
+  const merged = previous ? { ...entry, itemIds: Array.from(new Set([...previous.itemIds, ...entry.itemIds])) } : entry;
+  saveImportHistory([...entries.filter((e) => e.importId !== entry.importId), merged]);
+  renderImportHistory();
+}
+
+function setImportHistoryStatus(text) {
+  const statusEl = document.getElementById("stitchHistoryStatus");
+  if (statusEl) statusEl.textContent = text || "";
+}
+
+function renderImportHistory() {
+  const list = document.getElementById("stitchHistoryList");
+  const removeLastButton = document.getElementById("stitchRemoveLastButton");
+  const entries = loadImportHistory();
+  if (removeLastButton) removeLastButton.disabled = importRemovalRunning || !entries.length;
+  if (!list) return;
+  list.textContent = "";
+  for (const entry of [...entries].reverse()) {
+    const row = document.createElement("div");
+    row.className = "history-row";
+    const label = document.createElement("span");
+    label.className = "history-label";
+    const when = new Date(entry.createdAt).toLocaleString();
+    label.textContent = `${when} · ${entry.fileCount} file${entry.fileCount === 1 ? "" : "s"} · ${entry.itemIds.length} items`;
+    label.title = JSON.stringify(entry.settings || {});
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "chain-remove";
+    removeButton.textContent = "×";
+    removeButton.title = "Remove this import from the board";
+    removeButton.disabled = importRemovalRunning;
+    removeButton.addEventListener("click", () => handleRemoveImport(entry.importId));
+    row.append(label, removeButton);
+    list.appendChild(row);
+  }
+}
+
+async function handleRemoveImport(importId) {
+  if (importRemovalRunning) return;
+  await resolveImportHistoryKey();
+  const entries = loadImportHistory();
+  const entry = importId ? entries.find((e) => e.importId === importId) : entries[entries.length - 1];
+  if (!entry) return;
+  importRemovalRunning = true;
+  renderImportHistory();
+  try {
+    const items = [];
+    let missing = 0;
+    setImportHistoryStatus("Looking up items…");
+    await runWithConcurrency(entry.itemIds, async (id) => {
+      try {
+        const item = await board.getById(id);
+        if (item) items.push(item);
+        else missing += 1;
+      } catch (_) {
+        missing += 1;
+      }
+    }, ITEM_LOOKUP_CONCURRENCY);
+    // Frames go last so their children are gone before the frame itself.
+    items.sort((a, b) => (a.type === "frame") - (b.type === "frame"));
+    const { removed, failed } = await removeItemsInBatches(items, (done, total) => setImportHistoryStatus(`Removing ${done} / ${total}`));
+    if (!failed) saveImportHistory(loadImportHistory().filter((e) => e.importId !== entry.importId));
+    setImportHistoryStatus("");
+    if (failed) await notifyWarning(`Removed ${removed} items, ${failed} failed`);
+    else if (!removed && missing) await notifyWarning("None of this import's items are on the board");
+    else await notifyInfo(`Removed ${removed} item${removed === 1 ? "" : "s"}`, { missing });
+  } catch (e) {
+    setImportHistoryStatus("");
+    await notifyError("Remove import failed", e);
+  } finally {
+    importRemovalRunning = false;
+    renderImportHistory();
+  }
+}
+
+function renderFailedFiles() {
+  const section = document.getElementById("stitchFailedSection");
+  const list = document.getElementById("stitchFailedList");
+  const retryButton = document.getElementById("stitchRetryButton");
+  const entries = lastFailedImport ? lastFailedImport.entries : [];
+  if (section) section.style.display = entries.length ? "" : "none";
+  if (retryButton) retryButton.disabled = !entries.some((entry) => entry.file && entry.center);
+  if (!list) return;
+  list.textContent = "";
+  for (const entry of entries) {
+    const row = document.createElement("div");
+    row.className = "failed-row";
+    const name = document.createElement("div");
+    name.className = "failed-name";
+    name.textContent = entry.fileName;
+    const reason = document.createElement("div");
+    reason.className = "failed-reason";
+    reason.textContent = entry.center ? entry.reason : `${entry.reason} (not retryable)`;
+    row.append(name, reason);
+    if (entry.details) {
+      const details = document.createElement("div");
+      details.className = "failed-details";
+      details.textContent = typeof entry.details === "string" ? entry.details : JSON.stringify(entry.details);
+      row.appendChild(details);
+    }
+    list.appendChild(row);
+  }
+}
+
+function handleStitchRetry() {
+  if (!lastFailedImport || activeImportController) return;
+  const form = document.getElementById("stitch-form");
+  const entries = lastFailedImport.entries.filter((entry) => entry.file && entry.center);
+  if (!entries.length) return;
+  const tileSize = form && form.stitchRetryTileSize ? Number(form.stitchRetryTileSize.value) || null : null;
+  const forceHuge = form && form.stitchRetryForceHuge ? form.stitchRetryForceHuge.checked : false;
+  return handleStitchSubmit(null, {
+    retry: {
+      importId: lastFailedImport.importId,
+      fingerprint: lastFailedImport.fingerprint,
+      frameId: lastFailedImport.frameId,
+      staleItemIds: entries.flatMap((entry) => entry.itemIds || []),
+      files: entries.map((entry) => entry.file),
+      centers: new Map(entries.map((entry) => [entry.file, entry.center])),
+      names: new Map(entries.map((entry) => [entry.file, entry.fileName])),
+      importMeta: new Map(entries.map((entry) => [entry.file, entry.importMeta])),
+      tileSize,
+      forceHuge,
+    },
+  });
+}
+
+function formatByteSize(bytes) {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1e3)} KB`;
+}
+
+function estimateJobBytes(job) {
+  const huge = !!(job.info && job.info.useHugeWorker);
+  const pixels = job.kind === "tile" ? job.sw * job.sh : job.width * job.height;
+  return pixels * (huge ? PLAN_PNG_BYTES_PER_PIXEL : PLAN_JPEG_BYTES_PER_PIXEL);
+}
+
+function drawImportPlan(canvas, jobs, bounds) {
+  const ctx = canvas.getContext("2d");
+  const drawWidth = canvas.width - PLAN_CANVAS_PADDING * 2;
+  const drawHeight = canvas.height - PLAN_CANVAS_PADDING * 2;
+  const scale = Math.min(drawWidth / bounds.width, drawHeight / bounds.height);
+  const offsetX = PLAN_CANVAS_PADDING + (drawWidth - bounds.width * scale) / 2;
+  const offsetY = PLAN_CANVAS_PADDING + (drawHeight - bounds.height * scale) / 2;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.strokeStyle = "#9ca3af";
+  ctx.strokeRect(offsetX, offsetY, bounds.width * scale, bounds.height * scale);
+  for (const job of jobs) {
+    const w = job.kind === "tile" ? job.sw : job.width;
+    const h = job.kind === "tile" ? job.sh : job.height;
+    const x = offsetX + (job.x - w / 2 - bounds.left) * scale;
+    const y = offsetY + (job.y - h / 2 - bounds.top) * scale;
+    if (job.info && job.info.useHugeWorker) ctx.fillStyle = "rgba(198, 40, 40, 0.35)";
+    else if (job.kind === "tile") ctx.fillStyle = "rgba(217, 119, 6, 0.35)";
+    else ctx.fillStyle = "rgba(37, 99, 235, 0.35)";
+    ctx.fillRect(x, y, w * scale, h * scale);
+    ctx.strokeStyle = "#111827";
+    ctx.lineWidth = 0.5;
+    ctx.strokeRect(x, y, w * scale, h * scale);
+  }
+}
+
+function renderImportPlan(jobs, bounds, infos, nameByFile) {
+  const section = document.getElementById("stitchPlanSection");
+  const summary = document.getElementById("stitchPlanSummary");
+  const canvas = document.getElementById("stitchPlanCanvas");
+  if (section) section.style.display = "";
+  const sliced = infos.filter((info) => info.needsSlice && !info.useHugeWorker);
+  const huge = infos.filter((info) => info.useHugeWorker);
+  const bytes = jobs.reduce((sum, job) => sum + estimateJobBytes(job), 0);
+  const namesOf = (list) => list.map((info) => nameByFile.get(info.file) || info.file.name).join(", ");
+  const lines = [
+    `${jobs.length} board item${jobs.length === 1 ? "" : "s"} from ${infos.length} file${infos.length === 1 ? "" : "s"}`,
+    `~${formatByteSize(bytes)} to upload`,
+    `Mosaic ${Math.round(bounds.width)} × ${Math.round(bounds.height)} px`,
+  ];
+  if (sliced.length) lines.push(`Sliced (${sliced.length}): ${namesOf(sliced)}`);
+  if (huge.length) lines.push(`Huge mode (${huge.length}): ${namesOf(huge)}`);
+  if (summary) {
+    summary.textContent = "";
+    for (const line of lines) {
+      const row = document.createElement("div");
+      row.textContent = line;
+      summary.appendChild(row);
+    }
+  }
+  if (canvas) drawImportPlan(canvas, jobs, bounds);
+}
+
+async function handleStitchSubmit(event, { retry = null, planOnly = false } = {}) {
+  if (event) event.preventDefault();
+  if (planOnly && activeImportController) return;
   logCanvasColorSpace("Stitch/Slice");
 
   const hugeManager = createHugeSliceManager();
+  let importId = retry ? retry.importId : generateImportId();
+  const importController = new AbortController();
+  const { signal } = importController;
   let uploadedBytesDone = 0;
   let uploadRetryEvents = 0;
   const createImageWallTimesMs = [];
@@ -707,6 +2804,8 @@ async function handleStitchSubmit(event) {
   let createImageWallTimeCount = 0;
 
   const stitchButton = document.getElementById("stitchButton");
+  const cancelButton = document.getElementById("stitchCancelButton");
+  const planButton = document.getElementById("stitchPlanButton");
   const progressBarEl = document.getElementById("stitchProgressBar");
   const progressMainEl = document.getElementById("stitchProgressMain");
   const progressEtaEl = document.getElementById("stitchProgressEta");
@@ -815,9 +2914,40 @@ async function handleStitchSubmit(event) {
 
     const imagesPerRow = Number(form.stitchImagesPerRow.value) || 1;
     const startCorner = form.stitchStartCorner.value;
+    const fillOrder = form.stitchFillOrder ? form.stitchFillOrder.value : "rows";
+    const gridOptions = {
+      fillOrder,
+      layoutMode: form.stitchLayoutMode ? form.stitchLayoutMode.value : "rows",
+      cellAlignX: form.stitchCellAlignX ? form.stitchCellAlignX.value : "center",
+      cellAlignY: form.stitchCellAlignY ? form.stitchCellAlignY.value : "center",
+      horizontalGap: form.stitchHorizontalGap ? Math.max(0, Number(form.stitchHorizontalGap.value) || 0) : 0,
+      verticalGap: form.stitchVerticalGap ? Math.max(0, Number(form.stitchVerticalGap.value) || 0) : 0,
+    };
+    const importMargin = form.stitchMargin ? Math.max(0, Number(form.stitchMargin.value) || 0) : 0;
+    const wrapInFrame = form.stitchWrapFrame ? form.stitchWrapFrame.checked : false;
+    const frameTitleTemplate = form.stitchFrameTitle ? form.stitchFrameTitle.value : "";
+    const framePadding = form.stitchFramePadding ? Math.max(0, Number(form.stitchFramePadding.value) || 0) : 0;
+    const groupSlicedTiles = form.stitchGroupSliced ? form.stitchGroupSliced.checked : false;
+    const placementMode = form.stitchPlacement ? form.stitchPlacement.value : "viewport";
+    const placementCoordinates = {
+      x: form.stitchPlacementX ? Number(form.stitchPlacementX.value) : NaN,
+      y: form.stitchPlacementY ? Number(form.stitchPlacementY.value) : NaN,
+    };
     const skipMissingTiles = form.stitchSkipMissing.checked;
+    const orderMode = form.stitchOrderMode ? form.stitchOrderMode.value : "number";
+    const importSeed = form.stitchImportSeed ? Math.floor(Number(form.stitchImportSeed.value)) : 0;
+    const colorCodeTitles = form.stitchColorCodeTitles ? form.stitchColorCodeTitles.checked : true;
+    const getTitlePrefix = (info) => (colorCodeTitles ? `${formatColorCodePrefix(info.satCode, info.briCode)} ` : "");
     const input = document.getElementById("stitchFolderInput");
-    const files = input ? input.files : null;
+    const directoryInput = document.getElementById("stitchDirectoryInput");
+    const files = retry
+      ? retry.files
+      : directoryInput && directoryInput.files && directoryInput.files.length
+        ? directoryInput.files
+        : input ? input.files : null;
+    const importAsPyramid = form.stitchPyramidImport ? form.stitchPyramidImport.checked : false;
+    const zoomLevelRaw = form.stitchZoomLevel ? String(form.stitchZoomLevel.value).trim() : "";
+    const zoomLevel = zoomLevelRaw === "" ? null : Number(zoomLevelRaw);
 
     if (!files || !files.length) {
       await notifyError("Select one or more image files");
@@ -827,13 +2957,100 @@ async function handleStitchSubmit(event) {
       await notifyError("Rows must be greater than 0");
       return;
     }
+    let nameTemplate = null;
+    try {
+      nameTemplate = compileNameTemplate(form.stitchNameTemplate ? form.stitchNameTemplate.value : "");
+    } catch (e) {
+      await notifyError(e.message);
+      return;
+    }
+    if (orderMode === "random" && !Number.isFinite(importSeed)) {
+      await notifyError("Seed must be a number");
+      return;
+    }
+    let sortChain = null;
+    if (orderMode === "chain") {
+      try {
+        sortChain = compileSortChain(readSortChain("stitchChainEditor"));
+      } catch (e) {
+        await notifyError(e.message);
+        return;
+      }
+    }
 
     if (stitchButton) stitchButton.disabled = true;
+    if (planButton) planButton.disabled = true;
+    if (!planOnly) {
+      activeImportController = importController;
+      if (cancelButton) {
+        cancelButton.disabled = false;
+        cancelButton.style.display = "";
+      }
+    }
     resetProgressUiState();
     setProgress(0, 0, "");
     setEtaText(null);
 
-    const filesArray = Array.from(files);
+    let fingerprint = null;
+    let resumeFrom = null;
+    try {
+      fingerprint = retry ? retry.fingerprint : planOnly ? null : await computeImportFingerprint(files, {
+        imagesPerRow,
+        startCorner,
+        gridOptions,
+        importMargin,
+        wrapInFrame,
+        frameTitleTemplate,
+        framePadding,
+        groupSlicedTiles,
+        placementMode,
+        placementCoordinates,
+        skipMissingTiles,
+        orderMode,
+        importSeed,
+        colorCodeTitles,
+        nameTemplate: form.stitchNameTemplate ? form.stitchNameTemplate.value : "",
+        sortChain: orderMode === "chain" ? readSortChain("stitchChainEditor") : null,
+        importAsPyramid,
+        zoomLevel,
+      });
+      const saved = fingerprint && !retry ? await loadResumeRecord(fingerprint) : null;
+      if (saved && saved.jobs && saved.jobs.length) {
+        const doneJobs = Object.keys(saved.doneJobs || {}).length;
+        const choice = await askPanelChoice(
+          `An unfinished import of these files was found (${doneJobs} / ${saved.jobs.length} tiles).`,
+          [{ value: "resume", label: "Resume" }, { value: "restart", label: "Start over" }]
+        );
+        if (choice === "resume") {
+          resumeFrom = saved;
+          importId = saved.importId || importId;
+        } else {
+          await deleteResumeRecord(fingerprint);
+        }
+      }
+    } catch (e) {
+      console.warn("Stitch/Slice: resume state unavailable", e);
+    }
+
+    let filesArray = Array.from(files).filter((file) => !file.type || file.type.startsWith("image/") || isImageFileName(file.name));
+    let pyramidPlan = null;
+    const pyramid = retry || !importAsPyramid ? null : detectTilePyramid(files);
+    if (pyramid) {
+      try {
+        pyramidPlan = await preparePyramidImport(pyramid, zoomLevel);
+      } catch (e) {
+        showFailedProgressState("Tile pyramid failed");
+        await notifyError(e && e.message ? e.message : "Tile pyramid failed", e);
+        return;
+      }
+      filesArray = pyramidPlan.files;
+      console.log("[Image Align Tool] tile pyramid", { kind: pyramidPlan.kind, level: pyramidPlan.level, tiles: filesArray.length });
+    }
+    if (!filesArray.length) {
+      setProgress(0, 0, "Nothing to import.");
+      return;
+    }
+
     setStage(1);
     const PREP_EXTRA_STEPS = 4;
     const prepTotalSteps = filesArray.length + PREP_EXTRA_STEPS;
@@ -849,12 +3066,18 @@ async function handleStitchSubmit(event) {
     }
 
     const fileInfos = [];
-    let anySliced = false;
     const hugeInitFailures = [];
+    const prepFailures = [];
+    // Files that never got a slot position show up in the failed list but cannot be retried in place.
+    const getUnplacedFailureEntries = () => [
+      ...hugeInitFailures.map((entry) => ({ fileName: entry.fileName, reason: "huge-init-failed", details: entry.error })),
+      ...prepFailures,
+    ].map((entry) => ({ ...entry, file: null, center: null }));
 
     setProgress(0, prepTotalSteps, "Preparing files…", 0, filesArray.length);
 
     for (let i = 0; i < filesArray.length; i++) {
+      if (signal.aborted) break;
       const file = filesArray[i];
       setProgress(i + 1, prepTotalSteps, "Preparing files…", i + 1, filesArray.length);
       await sleep(0);
@@ -864,6 +3087,7 @@ async function handleStitchSubmit(event) {
         imgEl = await decodeImageFromFile(file);
       } catch (e) {
         console.error("Stitch/Slice: browser failed to decode image", file.name, e);
+        prepFailures.push({ fileName: file.name, reason: "decode-failed", details: e && e.message ? e.message : String(e) });
         await notifyError("Cannot decode image", { fileName: file.name, error: e });
         continue;
       }
@@ -871,6 +3095,7 @@ async function handleStitchSubmit(event) {
       const width = imgEl.naturalWidth || imgEl.width;
       const height = imgEl.naturalHeight || imgEl.height;
       if (!width || !height) {
+        prepFailures.push({ fileName: file.name, reason: "invalid-size", details: { width, height } });
         await notifyError("Invalid image size", { fileName: file.name, width, height });
         try { imgEl.src = ""; } catch (_) {}
         continue;
@@ -885,22 +3110,27 @@ async function handleStitchSubmit(event) {
         });
       }
 
-      let brightness = 0.5;
-      let saturation = 0.0;
+      let colorRes = { brightness: 0.5, saturation: 0.0, hue: null, lightness: 50, chroma: 0 };
       try {
         const res = getBrightnessAndSaturationFromImageElement(imgEl);
-        if (res) {
-          brightness = res.brightness;
-          saturation = res.saturation;
-        }
+        if (res) colorRes = res;
       } catch (e) {
         console.warn("Stitch/Slice: brightness/saturation calc failed for", file.name, e);
       }
 
-      const briCode = Math.max(0, Math.min(999, Math.round((1 - brightness) * 999)));
-      const satCode = Math.max(0, Math.min(SAT_CODE_MAX, Math.round(Math.min(1, saturation * SAT_BOOST) * SAT_CODE_MAX)));
-      const needsSlice = width > SLICE_THRESHOLD_WIDTH || height > SLICE_THRESHOLD_HEIGHT;
-      if (needsSlice) anySliced = true;
+      let dHash = null;
+      try {
+        dHash = computeDHashFromImageElement(imgEl);
+      } catch (e) {
+        console.warn("Stitch/Slice: dHash calc failed for", file.name, e);
+      }
+
+      const analysisMeta = { ...computeColorMetadata(colorRes), dHash };
+      const { briCode, satCode } = analysisMeta;
+      const retryTileSize = retry && retry.tileSize ? retry.tileSize : null;
+      const needsSlice = width > SLICE_THRESHOLD_WIDTH || height > SLICE_THRESHOLD_HEIGHT
+        || !!(retry && retry.forceHuge)
+        || (retryTileSize !== null && (width > retryTileSize || height > retryTileSize));
 
       let previewTilesX = 1;
       let previewTilesY = 1;
@@ -912,16 +3142,18 @@ async function handleStitchSubmit(event) {
       }
 
       const useHugeWorker = needsSlice && (
+        !!(retry && retry.forceHuge) ||
         width > LARGE_IMAGE_WORKER_MIN_DIM ||
         height > LARGE_IMAGE_WORKER_MIN_DIM ||
         previewNumTiles >= LARGE_IMAGE_WORKER_MIN_TILES
       );
-      const sliceTileSize = useHugeWorker ? HUGE_SLICE_TILE_SIZE : SLICE_TILE_SIZE;
+      const defaultTileSize = useHugeWorker ? HUGE_SLICE_TILE_SIZE : SLICE_TILE_SIZE;
+      const sliceTileSize = retryTileSize ? Math.min(retryTileSize, defaultTileSize) : defaultTileSize;
       const tilesX = needsSlice ? Math.ceil(width / sliceTileSize) : 1;
       const tilesY = needsSlice ? Math.ceil(height / sliceTileSize) : 1;
       const numTiles = tilesX * tilesY;
 
-      if (useHugeWorker) {
+      if (useHugeWorker && !planOnly) {
         try {
           const sessionMeta = await hugeManager.openFile(file);
           console.log("[Image Align Tool] huge mode init", {
@@ -949,6 +3181,7 @@ async function handleStitchSubmit(event) {
         height,
         briCode,
         satCode,
+        analysisMeta,
         needsSlice,
         useHugeWorker,
         tilesX,
@@ -958,9 +3191,19 @@ async function handleStitchSubmit(event) {
       });
     }
 
+    if (signal.aborted) {
+      setProgress(0, 0, "Import cancelled.");
+      await notifyInfo("Import cancelled");
+      return;
+    }
+
     let prepDone = filesArray.length;
 
     if (!fileInfos.length) {
+      if (!planOnly && (hugeInitFailures.length || prepFailures.length)) {
+        lastFailedImport = { importId, fingerprint, frameId: retry ? retry.frameId : null, entries: getUnplacedFailureEntries() };
+        renderFailedFiles();
+      }
       if (hugeInitFailures.length > 0) {
         showFailedProgressState("Huge mode init failed");
         await notifyWarning(HUGE_INIT_FAILURE_MESSAGE, { failedFiles: hugeInitFailures });
@@ -982,14 +3225,28 @@ async function handleStitchSubmit(event) {
     setProgress(prepDone, prepTotalSteps, "Preparing files… (sorting)", filesArray.length, filesArray.length);
     await sleep(0);
 
-    const orderedFiles = sortFilesByNameWithNumber(filesArray);
+    const infoByFile = new Map();
+    fileInfos.forEach((info) => infoByFile.set(info.file, info));
+    const pyramidMismatch = pyramidPlan ? findPyramidTileSizeMismatch(pyramidPlan, infoByFile) : null;
+    if (pyramidMismatch) {
+      showFailedProgressState("Tile pyramid failed");
+      await notifyError(`Tile sizes are inconsistent: ${pyramidMismatch}`);
+      return;
+    }
+    const orderedFiles = orderImportFiles(filesArray, { orderMode, seed: importSeed, sortChain, infoByFile });
     prepDone += 1;
     setProgress(prepDone, prepTotalSteps, "Preparing files… (indexing)", filesArray.length, filesArray.length);
     await sleep(0);
 
-    const infoByFile = new Map();
-    fileInfos.forEach((info) => infoByFile.set(info.file, info));
     const orderedInfos = orderedFiles.map((f) => infoByFile.get(f)).filter(Boolean);
+    orderedInfos.forEach((info, index) => {
+      if (retry && retry.importMeta.get(info.file)) {
+        info.importMeta = retry.importMeta.get(info.file);
+        return;
+      }
+      info.importMeta = { importId, importOrder: orderMode, importIndex: index };
+      if (orderMode === "random") info.importMeta.importSeed = importSeed;
+    });
 
     if (!orderedInfos.length) {
       setProgress(0, 0, "Nothing to import.");
@@ -1001,9 +3258,6 @@ async function handleStitchSubmit(event) {
     await sleep(0);
 
     let totalTiles = orderedInfos.reduce((sum, info) => sum + (info.needsSlice ? info.numTiles : 1), 0);
-    if (anySliced && skipMissingTiles) {
-      await notifyInfo("Skip missing tiles ignored");
-    }
 
     prepDone += 1;
     setProgress(prepDone, prepTotalSteps, "Preparing files… (layout)", filesArray.length, filesArray.length);
@@ -1012,7 +3266,32 @@ async function handleStitchSubmit(event) {
     let slotCentersByFile = null;
     let slotCentersArray = null;
     const hasAnyNumber = orderedInfos.some((info) => extractTrailingNumber(info.file.name || "") !== null);
-    if (!anySliced && skipMissingTiles && hasAnyNumber) {
+    if (retry) {
+      slotCentersByFile = retry.centers;
+    } else if (pyramidPlan) {
+      slotCentersByFile = computePyramidSlotCenters(pyramidPlan, infoByFile, viewCenterX, viewCenterY);
+    } else if (nameTemplate) {
+      const cellInfos = [];
+      const unmatched = [];
+      for (const info of orderedInfos) {
+        const cell = matchNameTemplate(nameTemplate, info.file.name);
+        if (cell) cellInfos.push({ info, ...cell });
+        else unmatched.push(info);
+      }
+      if (unmatched.length) {
+        // Files the template does not describe go into extra rows under the mosaic instead of being dropped.
+        const baseRow = cellInfos.length ? Math.max(...cellInfos.map((c) => c.row)) + 1 : 0;
+        const baseCol = cellInfos.length ? Math.min(...cellInfos.map((c) => c.col)) : 0;
+        const perRow = cellInfos.length ? Math.max(...cellInfos.map((c) => c.col)) - baseCol + 1 : Math.max(1, imagesPerRow);
+        unmatched.forEach((info, k) => {
+          cellInfos.push({ info, row: baseRow + Math.floor(k / perRow), col: baseCol + (k % perRow) });
+        });
+        await notifyWarning(`${unmatched.length} file${unmatched.length === 1 ? "" : "s"} did not match the name template`, {
+          files: unmatched.map((info) => info.file.name),
+        });
+      }
+      slotCentersByFile = computeCellSlotCenters(cellInfos, startCorner, viewCenterX, viewCenterY, gridOptions);
+    } else if (skipMissingTiles && hasAnyNumber) {
       const tileInfos = [];
       let maxNum = -Infinity;
       for (const info of orderedInfos) {
@@ -1022,34 +3301,65 @@ async function handleStitchSubmit(event) {
         if (num > maxNum) maxNum = num;
       }
       if (!tileInfos.length) {
-        slotCentersArray = computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY);
+        slotCentersArray = computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY, gridOptions);
       } else {
         let current = maxNum;
         for (const info of orderedInfos) {
           const already = tileInfos.find((t) => t.info.file === info.file);
           if (!already) tileInfos.push({ info, num: ++current });
         }
-        slotCentersByFile = computeSkipMissingSlotCenters(tileInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY);
+        slotCentersByFile = computeSkipMissingSlotCenters(tileInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY, gridOptions);
       }
     } else {
-      slotCentersArray = computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY);
+      slotCentersArray = computeVariableSlotCenters(orderedInfos, imagesPerRow, startCorner, viewCenterX, viewCenterY, gridOptions);
     }
 
     const allCreatedTiles = [];
+    const createdTilesByFile = new Map();
     let createdTiles = 0;
     let settledTiles = 0;
     let skippedTiles = 0;
     const failedHugeFiles = new Map();
     const failedSourceFiles = new Map();
+    const failedFileRefs = new Map();
 
-    const recordFailedSourceFile = (fileName, reason, details) => {
+    const recordFailedSourceFile = (fileName, reason, details, file) => {
       const key = fileName || "image";
       if (!failedSourceFiles.has(key)) {
         failedSourceFiles.set(key, { fileName: key, reason: reason || "import-failed", details: details || null });
+        if (file) failedFileRefs.set(key, file);
       }
       console.warn("[Image Align Tool] source file failed", { fileName: key, reason, details });
     };
 
+    let resumeRecord = null;
+    let resumeSaveTimer = null;
+    const flushResumeRecord = async () => {
+      if (resumeSaveTimer) clearTimeout(resumeSaveTimer);
+      resumeSaveTimer = null;
+      if (!resumeRecord) return;
+      try {
+        await saveResumeRecord(resumeRecord);
+      } catch (e) {
+        console.warn("Stitch/Slice: could not save resume state", e);
+      }
+    };
+    const scheduleResumeSave = () => {
+      if (!resumeRecord || resumeSaveTimer) return;
+      resumeSaveTimer = setTimeout(flushResumeRecord, RESUME_SAVE_INTERVAL_MS);
+    };
+    const clearResumeRecord = async () => {
+      if (resumeSaveTimer) clearTimeout(resumeSaveTimer);
+      resumeSaveTimer = null;
+      resumeRecord = null;
+      if (!fingerprint) return;
+      try {
+        await deleteResumeRecord(fingerprint);
+      } catch (e) {
+        console.warn("Stitch/Slice: could not clear resume state", e);
+      }
+    };
+
     const markJobSettled = (job, status, details) => {
       if (job && job.__settled) return;
       if (job) job.__settled = true;
@@ -1071,7 +3381,7 @@ async function handleStitchSubmit(event) {
       const failedFileName = (job && job.file && job.file.name) || (file && file.name) || "image";
       const failedMessage = error && error.message ? error.message : String(error || "huge file failed");
       failedHugeFiles.set(file, { fileName: failedFileName, message: failedMessage });
-      recordFailedSourceFile(failedFileName, "huge-file-failed", failedMessage);
+      recordFailedSourceFile(failedFileName, "huge-file-failed", failedMessage, file);
       console.warn("[Image Align Tool] huge file failed; skipping remaining tiles", { fileName: failedFileName, error });
       await hugeManager.closeFile(file);
     };
@@ -1084,6 +3394,7 @@ async function handleStitchSubmit(event) {
       let lastErr = null;
       const tStart = performance.now();
       while (attempt <= maxRetries) {
+        if (signal.aborted) throw new ImportCancelledError();
         try {
           const res = await board.createImage(params);
           const dt = performance.now() - tStart;
@@ -1098,25 +3409,12 @@ async function handleStitchSubmit(event) {
           if (attempt > maxRetries) break;
           const base = CREATE_IMAGE_BASE_DELAY_MS * Math.pow(2, attempt - 1);
           const jitter = Math.random() * 250;
-          await sleep(base + jitter);
+          await sleepWithSignal(base + jitter, signal);
         }
       }
       throw lastErr;
     };
 
-    const runWithConcurrency = async (items, workerFn, concurrency) => {
-      let cursor = 0;
-      const runners = new Array(concurrency).fill(0).map(async () => {
-        while (true) {
-          const i = cursor;
-          cursor += 1;
-          if (i >= items.length) break;
-          await workerFn(items[i], i);
-        }
-      });
-      await Promise.all(runners);
-    };
-
     const tileJobs = [];
     const remainingJobsByFile = new Map();
     const originalNameByFile = new Map();
@@ -1135,7 +3433,10 @@ async function handleStitchSubmit(event) {
       const info = orderedInfos[i];
       const { file, needsSlice, width, height, tilesX, tilesY, sliceTileSize } = info;
       const center = getFileCenter(info, i);
-      const originalName = file.name || "image";
+      const originalName = (retry && retry.names.get(file))
+        || (pyramidPlan && pyramidPlan.nameByFile.get(file))
+        || file.name
+        || "image";
       originalNameByFile.set(file, originalName);
 
       if (!needsSlice) {
@@ -1152,15 +3453,7 @@ async function handleStitchSubmit(event) {
       for (let tx = 0; tx < tilesX; tx++) colWidths.push(Math.min(sliceTileSize, width - tx * sliceTileSize));
       for (let ty = 0; ty < tilesY; ty++) rowHeights.push(Math.min(sliceTileSize, height - ty * sliceTileSize));
 
-      const mosaicW = colWidths.reduce((sum, w) => sum + w, 0);
-      const mosaicH = rowHeights.reduce((sum, h) => sum + h, 0);
-      const mosaicLeft = center.x - mosaicW / 2;
-      const mosaicTop = center.y - mosaicH / 2;
-
-      const colPrefix = [0];
-      for (let tx = 1; tx < tilesX; tx++) colPrefix[tx] = colPrefix[tx - 1] + colWidths[tx - 1];
-      const rowPrefix = [0];
-      for (let ty = 1; ty < tilesY; ty++) rowPrefix[ty] = rowPrefix[ty - 1] + rowHeights[ty - 1];
+      const { mosaicLeft, mosaicTop, colPrefix, rowPrefix } = computeMosaicOrigins(colWidths, rowHeights, center);
 
       let tileIndex = 0;
       for (let ty = 0; ty < tilesY; ty++) {
@@ -1177,7 +3470,7 @@ async function handleStitchSubmit(event) {
           const tileSuffix = String(tileIndex).padStart(2, "0");
           const tileBaseName = `${baseName}_${tileSuffix}`;
           const tileFullName = originalExt ? `${tileBaseName}${originalExt}` : tileBaseName;
-          const title = `C${String(info.satCode).padStart(2, "0")}/${String(info.briCode).padStart(3, "0")} ${tileFullName}`;
+          const title = `${getTitlePrefix(info)}${tileFullName}`;
           registerJobForFile(file);
           tileJobs.push({
             kind: "tile",
@@ -1198,6 +3491,83 @@ async function handleStitchSubmit(event) {
       }
     }
 
+    tileJobs.forEach((job, index) => {
+      job.jobIndex = index;
+    });
+
+    if (resumeFrom) {
+      const matches = resumeFrom.jobs.length === tileJobs.length
+        && tileJobs.every((job, index) => resumeFrom.jobs[index].key === getJobResumeKey(job));
+      if (matches) {
+        tileJobs.forEach((job, index) => {
+          job.x = resumeFrom.jobs[index].x;
+          job.y = resumeFrom.jobs[index].y;
+        });
+      } else {
+        await notifyWarning("Saved import no longer matches, starting over");
+        resumeFrom = null;
+      }
+    }
+
+    // The margin is part of the import's footprint: placement keeps it clear and the frame wraps it.
+    let importBounds = computeJobBounds(tileJobs, importMargin);
+    let placementFrame = null;
+    if (importBounds && placementMode !== "viewport" && !resumeFrom && !retry) {
+      try {
+        const placement = await resolveImportPlacement(placementMode, importBounds, {
+          viewCenter: { x: viewCenterX, y: viewCenterY },
+          coordinates: placementCoordinates,
+        });
+        importBounds = offsetImportPlan(tileJobs, importBounds, placement.center);
+        placementFrame = placement.frame;
+      } catch (e) {
+        showFailedProgressState("Placement failed");
+        await notifyError(e && e.message ? e.message : "Placement failed", e);
+        return;
+      }
+    }
+
+    if (planOnly) {
+      if (importBounds) renderImportPlan(tileJobs, importBounds, orderedInfos, originalNameByFile);
+      setProgress(0, 0, "Plan ready, nothing uploaded.");
+      return;
+    }
+
+    let wrapFrame = null;
+    const existingFrameId = retry ? retry.frameId : resumeFrom && resumeFrom.frameId;
+    if (existingFrameId) {
+      try {
+        wrapFrame = await board.getById(existingFrameId);
+      } catch (_) {
+        wrapFrame = null;
+      }
+    }
+    if (wrapInFrame && importBounds && !wrapFrame && !retry) {
+      if (placementFrame) {
+        await notifyWarning("Frame wrap skipped inside a selected frame");
+      } else {
+        try {
+          wrapFrame = await board.createFrame({
+            title: formatFrameTitle(frameTitleTemplate, {
+              folder: getImportFolderName(filesArray),
+              files: orderedInfos.length,
+              tiles: tileJobs.length,
+              date: new Date().toISOString().slice(0, 10),
+            }),
+            x: importBounds.left + importBounds.width / 2,
+            y: importBounds.top + importBounds.height / 2,
+            width: importBounds.width + framePadding * 2,
+            height: importBounds.height + framePadding * 2,
+          });
+          await wrapFrame.setMetadata(META_APP_ID, { importId });
+        } catch (e) {
+          console.warn("Stitch/Slice: could not create frame", e);
+          await notifyWarning("Could not create import frame");
+        }
+      }
+    }
+    const targetFrame = wrapFrame || placementFrame;
+
     const imageCache = new Map();
     const getDecodedImage = async (file) => {
       const cached = imageCache.get(file);
@@ -1234,7 +3604,9 @@ async function handleStitchSubmit(event) {
       ctx.drawImage(imgEl, region.sx, region.sy, region.sw, region.sh, 0, 0, region.w, region.h);
       try {
         const url = canvasToDataUrlUnderLimit(canvas);
-        await uploadOne(url, region.left + region.w / 2, region.top + region.h / 2, region.titleBase, region.metaBase, url.length);
+        // Hash the uploaded pixels, not the source file, so slices of one file don't match each other.
+        const meta = { ...region.metaBase, dHash: computeDHashFromImageElement(canvas) };
+        await uploadOne(url, region.left + region.w / 2, region.top + region.h / 2, region.titleBase, meta, url.length);
       } catch (e) {
         if (!(e && e.name === "DataUrlTooLargeError")) throw e;
         const minSub = 512;
@@ -1272,8 +3644,15 @@ async function handleStitchSubmit(event) {
       }
     };
 
+    // A job may create several items (sub-slices); only a finished job can be skipped on resume.
+    const markJobComplete = (job) => {
+      if (!resumeRecord) return;
+      resumeRecord.doneJobs[job.jobIndex] = true;
+      scheduleResumeSave();
+    };
+
     const processOneJob = async (job) => {
-      if (job.__settled) return;
+      if (job.__settled || signal.aborted) return;
       const { file, info } = job;
       const fileName = originalNameByFile.get(file) || "image";
       const useHugeWorker = !!(info && info.useHugeWorker);
@@ -1290,7 +3669,15 @@ async function handleStitchSubmit(event) {
         } catch (e) {
           console.warn("setMetadata failed:", e);
         }
+        if (!job.itemIds) job.itemIds = [];
+        job.itemIds.push(imgWidget.id);
+        if (resumeRecord) {
+          resumeRecord.jobItems[job.jobIndex] = job.itemIds;
+          scheduleResumeSave();
+        }
         allCreatedTiles.push(imgWidget);
+        if (!createdTilesByFile.has(file)) createdTilesByFile.set(file, []);
+        createdTilesByFile.get(file).push(imgWidget);
         uploadedBytesDone += byteCount || 0;
         createdTiles += 1;
         markJobSettled(job, "created");
@@ -1309,8 +3696,9 @@ async function handleStitchSubmit(event) {
               job.title,
               {
                 fileName,
-                satCode: info.satCode,
-                briCode: info.briCode,
+                ...info.analysisMeta,
+                dHash: null,
+                ...info.importMeta,
                 tileIndex: job.tileIndex,
                 tilesX: job.tilesX,
                 tilesY: job.tilesY,
@@ -1323,12 +3711,13 @@ async function handleStitchSubmit(event) {
           } finally {
             URL.revokeObjectURL(url);
           }
+          markJobComplete(job);
           return;
         }
 
         const imgEl = await getDecodedImage(file);
         if (job.kind === "full") {
-          const titleBase = `C${String(info.satCode).padStart(2, "0")}/${String(info.briCode).padStart(3, "0")} ${fileName}`;
+          const titleBase = `${getTitlePrefix(info)}${fileName}`;
           const left = job.x - job.width / 2;
           const top = job.y - job.height / 2;
           await uploadRegularRegionWithSubslice(job, imgEl, {
@@ -1341,7 +3730,7 @@ async function handleStitchSubmit(event) {
             w: job.width,
             h: job.height,
             titleBase,
-            metaBase: { fileName, satCode: info.satCode, briCode: info.briCode },
+            metaBase: { fileName, ...info.analysisMeta, ...info.importMeta },
             depth: 0,
           }, uploadOne);
         } else {
@@ -1359,8 +3748,8 @@ async function handleStitchSubmit(event) {
             titleBase: job.title,
             metaBase: {
               fileName,
-              satCode: info.satCode,
-              briCode: info.briCode,
+              ...info.analysisMeta,
+              ...info.importMeta,
               tileIndex: job.tileIndex,
               tilesX: job.tilesX,
               tilesY: job.tilesY,
@@ -1368,13 +3757,17 @@ async function handleStitchSubmit(event) {
             depth: 0,
           }, uploadOne);
         }
+        markJobComplete(job);
       } catch (e) {
+        if (e instanceof ImportCancelledError) return;
         if (useHugeWorker) {
           await markHugeFileFailed(file, new FatalHugeFileError(file, fileName, e), job);
           markJobSettled(job, "skipped", { reason: "huge-file-failed" });
           return;
         }
-        throw e;
+        const reason = e && e.name === "DataUrlTooLargeError" ? "tile-too-large" : "upload-failed";
+        recordFailedSourceFile(fileName, reason, e && e.message ? e.message : String(e), file);
+        markJobSettled(job, "skipped", { reason });
       } finally {
         if (job.__settled || failedHugeFiles.has(file)) {
           await releaseImageIfDone(file, useHugeWorker);
@@ -1382,27 +3775,183 @@ async function handleStitchSubmit(event) {
       }
     };
 
+    // A retry only finishes the original import, so it clears that record but never rewrites it.
+    if (fingerprint && !retry) {
+      resumeRecord = {
+        fingerprint,
+        importId,
+        createdAt: resumeFrom ? resumeFrom.createdAt : Date.now(),
+        frameId: wrapFrame ? wrapFrame.id : null,
+        jobs: tileJobs.map((job) => ({ key: getJobResumeKey(job), x: job.x, y: job.y })),
+        jobItems: {},
+        doneJobs: {},
+      };
+      flushActiveResumeRecord = flushResumeRecord;
+      signal.addEventListener("abort", flushResumeRecord, { once: true });
+    }
+
+    if (resumeFrom && resumeFrom.jobItems) {
+      setProgress(0, 0, "Checking existing tiles…");
+      const leftovers = [];
+      await runWithConcurrency(tileJobs, async (job) => {
+        const ids = resumeFrom.jobItems[job.jobIndex];
+        if (!ids || !ids.length) return;
+        const done = !!(resumeFrom.doneJobs && resumeFrom.doneJobs[job.jobIndex]);
+        const items = [];
+        for (const id of ids) {
+          try {
+            const item = await board.getById(id);
+            if (item) items.push(item);
+          } catch (_) {}
+        }
+        if (!done || items.length !== ids.length) {
+          leftovers.push(...items);
+          return;
+        }
+        job.itemIds = ids;
+        resumeRecord.jobItems[job.jobIndex] = ids;
+        markJobComplete(job);
+        allCreatedTiles.push(...items);
+        if (!createdTilesByFile.has(job.file)) createdTilesByFile.set(job.file, []);
+        createdTilesByFile.get(job.file).push(...items);
+        createdTiles += items.length;
+        totalTiles += items.length - 1;
+        markJobSettled(job, "created");
+        await releaseImageIfDone(job.file, !!(job.info && job.info.useHugeWorker));
+      }, ITEM_LOOKUP_CONCURRENCY);
+      if (leftovers.length) await removeItemsInBatches(leftovers);
+      console.log("[Image Align Tool] resumed import", { importId, existing: settledTiles, remaining: tileJobs.length - settledTiles });
+    }
+    await flushResumeRecord();
+
+    const recordImport = async () => {
+      const itemIds = [...allCreatedTiles, wrapFrame].filter(Boolean).map((item) => item.id);
+      if (!itemIds.length) return;
+      await recordImportHistory({
+        importId,
+        createdAt: Date.now(),
+        fileCount: orderedInfos.length,
+        itemIds,
+        settings: { imagesPerRow, startCorner, fillOrder, layoutMode: gridOptions.layoutMode, orderMode, placementMode },
+      });
+    };
+
+    if (retry && retry.staleItemIds.length) {
+      // Tiles the failed run did create would otherwise end up under their own re-uploaded copies.
+      const staleItems = [];
+      await runWithConcurrency(retry.staleItemIds, async (id) => {
+        try {
+          const item = await board.getById(id);
+          if (item) staleItems.push(item);
+        } catch (_) {}
+      }, ITEM_LOOKUP_CONCURRENCY);
+      setProgress(0, 0, "Removing partial tiles…");
+      await removeItemsInBatches(staleItems);
+      setProgress(0, totalTiles, "Uploading to board…");
+    }
+
     const regularTileJobs = tileJobs.filter((job) => !(job.info && job.info.useHugeWorker));
     const hugeTileJobs = tileJobs.filter((job) => !!(job.info && job.info.useHugeWorker));
 
     if (regularTileJobs.length) {
-      await runWithConcurrency(regularTileJobs, async (job) => processOneJob(job), UPLOAD_CONCURRENCY_NORMAL);
+      await runWithConcurrency(regularTileJobs, async (job) => processOneJob(job), UPLOAD_CONCURRENCY_NORMAL, signal);
     }
     if (hugeTileJobs.length) {
-      await runWithConcurrency(hugeTileJobs, async (job) => processOneJob(job), UPLOAD_CONCURRENCY_HUGE);
+      await runWithConcurrency(hugeTileJobs, async (job) => processOneJob(job), UPLOAD_CONCURRENCY_HUGE, signal);
+    }
+
+    if (signal.aborted) {
+      await hugeManager.disposeAll();
+      setEtaText(null);
+      const createdItems = [...allCreatedTiles, wrapFrame].filter(Boolean);
+      if (!createdItems.length) {
+        setProgress(0, 0, "Import cancelled.");
+        await notifyInfo("Import cancelled");
+        return;
+      }
+      setProgress(settledTiles, totalTiles, "Cancelled");
+      const choice = await askPanelChoice(
+        `Import cancelled. Keep the ${createdItems.length} item${createdItems.length === 1 ? "" : "s"} already created?`,
+        [{ value: "keep", label: "Keep" }, { value: "delete", label: "Delete" }]
+      );
+      if (choice === "delete") {
+        const { removed, failed } = await removeItemsInBatches(createdItems, (done, total) => setProgress(done, total, "Deleting…"));
+        await clearResumeRecord();
+        setProgress(0, 0, "Import cancelled.");
+        if (failed) await notifyWarning(`Deleted ${removed} items, ${failed} failed`);
+        else await notifyInfo(`Import cancelled, deleted ${removed} item${removed === 1 ? "" : "s"}`);
+      } else {
+        await recordImport();
+        await flushResumeRecord();
+        setProgress(0, 0, "Import cancelled.");
+        await notifyInfo(`Import cancelled, kept ${createdItems.length} item${createdItems.length === 1 ? "" : "s"}`);
+      }
+      return;
     }
 
     setProgress(totalTiles, totalTiles, "Uploading to board…");
     setEtaText(null);
 
+    if (targetFrame && allCreatedTiles.length) {
+      try {
+        for (const tile of allCreatedTiles) await targetFrame.add(tile);
+      } catch (e) {
+        console.warn("Stitch/Slice: could not add tiles to frame", e);
+        await notifyWarning("Some tiles could not be added to the frame");
+      }
+    }
+
+    if (groupSlicedTiles) {
+      for (const [file, tiles] of createdTilesByFile.entries()) {
+        const info = infoByFile.get(file);
+        if (!info || !info.needsSlice || tiles.length < 2) continue;
+        try {
+          await board.group({ items: tiles });
+        } catch (e) {
+          console.warn("Stitch/Slice: could not group tiles of", originalNameByFile.get(file), e);
+        }
+      }
+    }
+
     if (allCreatedTiles.length) {
       try {
-        await board.viewport.zoomTo(allCreatedTiles);
+        if (importMargin > 0 && importBounds) {
+          await board.viewport.set({
+            viewport: { x: importBounds.left, y: importBounds.top, width: importBounds.width, height: importBounds.height },
+          });
+        } else {
+          await board.viewport.zoomTo(allCreatedTiles);
+        }
       } catch (e) {
         console.warn("zoomTo failed in Stitch/Slice:", e);
       }
     }
 
+    await recordImport();
+    lastFailedImport = {
+      importId,
+      fingerprint,
+      frameId: wrapFrame ? wrapFrame.id : null,
+      entries: [
+        ...Array.from(failedSourceFiles.values()).map((entry) => {
+          const file = failedFileRefs.get(entry.fileName) || null;
+          const info = file ? infoByFile.get(file) : null;
+          const fileBounds = file ? computeJobBounds(tileJobs.filter((job) => job.file === file)) : null;
+          return {
+            ...entry,
+            file,
+            center: fileBounds ? { x: fileBounds.left + fileBounds.width / 2, y: fileBounds.top + fileBounds.height / 2 } : null,
+            importMeta: info ? info.importMeta : null,
+            itemIds: file ? (createdTilesByFile.get(file) || []).map((tile) => tile.id) : [],
+          };
+        }),
+        ...getUnplacedFailureEntries(),
+      ],
+    };
+    renderFailedFiles();
+    if (!failedSourceFiles.size && !skippedTiles) await clearResumeRecord();
+    else await flushResumeRecord();
+
     const totalMB = uploadedBytesDone / 1_000_000;
     const avgMBPerTile = createdTiles ? totalMB / createdTiles : 0;
     const avgCreateMs = createImageWallTimeCount ? Math.round(createImageWallTimeSumMs / createImageWallTimeCount) : null;
@@ -1440,7 +3989,15 @@ async function handleStitchSubmit(event) {
     try {
       await hugeManager.disposeAll();
     } catch (_) {}
-    if (stitchButton) stitchButton.disabled = false;
+    if (activeImportController === importController) {
+      activeImportController = null;
+      flushActiveResumeRecord = null;
+    }
+    if (!activeImportController) {
+      if (cancelButton) cancelButton.style.display = "none";
+      if (stitchButton) stitchButton.disabled = false;
+      if (planButton) planButton.disabled = false;
+    }
   }
 }
 
@@ -1451,18 +4008,163 @@ window.addEventListener("DOMContentLoaded", () => {
   const sortingForm = document.getElementById("sorting-form");
   if (sortingForm) sortingForm.addEventListener("submit", handleSortingSubmit);
 
+  setupSortChainEditor("sortingChainEditor", SORT_CHAIN_KEYS, refreshSortingPreview);
+  setupSortChainEditor("stitchChainEditor", FILE_SORT_CHAIN_KEYS);
+
+  const undoButton = document.getElementById("sortingUndoButton");
+  const redoButton = document.getElementById("sortingRedoButton");
+  if (undoButton) undoButton.addEventListener("click", () => stepSortingHistory(sortingUndoStack, sortingRedoStack, "Undo"));
+  if (redoButton) redoButton.addEventListener("click", () => stepSortingHistory(sortingRedoStack, sortingUndoStack, "Redo"));
+  updateSortingHistoryButtons();
+
+  let sortingPreviewTimer = null;
+  const scheduleSortingPreview = () => {
+    clearTimeout(sortingPreviewTimer);
+    sortingPreviewTimer = setTimeout(refreshSortingPreview, SORTING_PREVIEW_DEBOUNCE_MS);
+  };
+  if (sortingForm) {
+    sortingForm.addEventListener("input", scheduleSortingPreview);
+    sortingForm.addEventListener("change", scheduleSortingPreview);
+  }
+  board.ui.on("selection:update", () => {
+    previewMetadataCache.clear();
+    imageAnalysisCache.clear();
+    const toggle = document.getElementById("sortingPreviewToggle");
+    if (toggle && toggle.checked) scheduleSortingPreview();
+  });
+  refreshSortingPreview();
+
+  const duplicatesForm = document.getElementById("duplicates-form");
+  if (duplicatesForm) duplicatesForm.addEventListener("submit", handleFindDuplicates);
+
   const sortModeSelect = document.getElementById("sortingSortMode");
   const sizeOrderField = document.getElementById("sortingSizeOrderField");
-  const updateSizeOrderVisibility = () => {
-    if (!sortModeSelect || !sizeOrderField) return;
-    sizeOrderField.style.display = sortModeSelect.value === "size" ? "" : "none";
+  const compactAspectField = document.getElementById("sortingCompactAspectField");
+  const colorCodeTargetField = document.getElementById("sortingColorCodeTargetField");
+  const clusterField = document.getElementById("sortingClusterField");
+  const sortingChainField = document.getElementById("sortingChainField");
+  const layoutModeField = document.getElementById("sortingLayoutModeField");
+  const layoutModeSelect = document.getElementById("sortingLayoutMode");
+  const sizeModeField = document.getElementById("sortingSizeModeField");
+  const imagesPerRowField = document.getElementById("sortingImagesPerRowField");
+  const imagesPerRowLabel = document.getElementById("sortingImagesPerRowLabel");
+  const justifiedField = document.getElementById("sortingJustifiedField");
+  const sortingFillOrderField = document.getElementById("sortingFillOrderField");
+  const sortingFillOrderSelect = document.getElementById("sortingFillOrder");
+  const sortingCellAlignField = document.getElementById("sortingCellAlignField");
+  const updateSortingFields = () => {
+    const sortMode = sortModeSelect ? sortModeSelect.value : "number";
+    const isCompact = sortMode === "compact";
+    const layoutMode = layoutModeSelect ? layoutModeSelect.value : "grid";
+    const isMasonry = !isCompact && layoutMode === "masonry";
+    const isJustified = !isCompact && layoutMode === "justified";
+    if (sizeOrderField) sizeOrderField.style.display = sortMode === "size" ? "" : "none";
+    if (compactAspectField) compactAspectField.style.display = isCompact ? "" : "none";
+    if (colorCodeTargetField) colorCodeTargetField.style.display = sortMode === "color" ? "" : "none";
+    if (clusterField) clusterField.style.display = sortMode === "cluster" ? "" : "none";
+    if (sortingChainField) sortingChainField.style.display = sortMode === "chain" ? "" : "none";
+    if (layoutModeField) layoutModeField.style.display = isCompact ? "none" : "";
+    if (sizeModeField) sizeModeField.style.display = isCompact || isMasonry || isJustified ? "none" : "";
+    if (imagesPerRowField) imagesPerRowField.style.display = isCompact || isJustified ? "none" : "";
+    if (justifiedField) justifiedField.style.display = isJustified ? "" : "none";
+    const isTable = !isCompact && layoutMode === "table";
+    const isGrid = !isCompact && !isMasonry && !isJustified;
+    const byColumns = isGrid && sortingFillOrderSelect && isColumnFillOrder(sortingFillOrderSelect.value);
+    if (sortingFillOrderField) sortingFillOrderField.style.display = isGrid ? "" : "none";
+    if (sortingCellAlignField) sortingCellAlignField.style.display = isTable ? "" : "none";
+    if (imagesPerRowLabel) {
+      imagesPerRowLabel.textContent = isMasonry ? "Columns" : byColumns ? "Tiles per column" : "Tile in a row";
+    }
   };
-  if (sortModeSelect) sortModeSelect.addEventListener("change", updateSizeOrderVisibility);
-  updateSizeOrderVisibility();
+  if (sortModeSelect) sortModeSelect.addEventListener("change", updateSortingFields);
+  if (layoutModeSelect) layoutModeSelect.addEventListener("change", updateSortingFields);
+  if (sortingFillOrderSelect) sortingFillOrderSelect.addEventListener("change", updateSortingFields);
+  updateSortingFields();
 
   const stitchForm = document.getElementById("stitch-form");
   if (stitchForm) stitchForm.addEventListener("submit", handleStitchSubmit);
 
+  const stitchFillOrderSelect = document.getElementById("stitchFillOrder");
+  const stitchImagesPerRowLabel = document.getElementById("stitchImagesPerRowLabel");
+  const updateStitchFillOrderLabel = () => {
+    if (!stitchFillOrderSelect || !stitchImagesPerRowLabel) return;
+    stitchImagesPerRowLabel.textContent = isColumnFillOrder(stitchFillOrderSelect.value) ? "Tiles per column" : "Tile in a row";
+  };
+  if (stitchFillOrderSelect) stitchFillOrderSelect.addEventListener("change", updateStitchFillOrderLabel);
+  updateStitchFillOrderLabel();
+
+  const stitchLayoutModeSelect = document.getElementById("stitchLayoutMode");
+  const stitchCellAlignField = document.getElementById("stitchCellAlignField");
+  const updateStitchCellAlignVisibility = () => {
+    if (!stitchLayoutModeSelect || !stitchCellAlignField) return;
+    stitchCellAlignField.style.display = stitchLayoutModeSelect.value === "table" ? "" : "none";
+  };
+  if (stitchLayoutModeSelect) stitchLayoutModeSelect.addEventListener("change", updateStitchCellAlignVisibility);
+  updateStitchCellAlignVisibility();
+
+  const planButton = document.getElementById("stitchPlanButton");
+  if (planButton) planButton.addEventListener("click", () => handleStitchSubmit(null, { planOnly: true }));
+
+  const retryButton = document.getElementById("stitchRetryButton");
+  if (retryButton) retryButton.addEventListener("click", handleStitchRetry);
+  renderFailedFiles();
+
+  const removeLastButton = document.getElementById("stitchRemoveLastButton");
+  if (removeLastButton) removeLastButton.addEventListener("click", () => handleRemoveImport(null));
+  renderImportHistory();
+  resolveImportHistoryKey().then(renderImportHistory);
+
+  window.addEventListener("pagehide", () => {
+    if (flushActiveResumeRecord) flushActiveResumeRecord();
+  });
+
+  const stitchCancelButton = document.getElementById("stitchCancelButton");
+  if (stitchCancelButton) {
+    stitchCancelButton.addEventListener("click", () => {
+      if (!activeImportController) return;
+      stitchCancelButton.disabled = true;
+      activeImportController.abort();
+    });
+  }
+
+  const stitchWrapFrameCheckbox = document.getElementById("stitchWrapFrame");
+  const stitchFrameOptionsField = document.getElementById("stitchFrameOptionsField");
+  const updateStitchFrameFields = () => {
+    if (!stitchWrapFrameCheckbox || !stitchFrameOptionsField) return;
+    stitchFrameOptionsField.style.display = stitchWrapFrameCheckbox.checked ? "" : "none";
+  };
+  if (stitchWrapFrameCheckbox) stitchWrapFrameCheckbox.addEventListener("change", updateStitchFrameFields);
+  updateStitchFrameFields();
+
+  const stitchPlacementSelect = document.getElementById("stitchPlacement");
+  const stitchPlacementCoordsField = document.getElementById("stitchPlacementCoordsField");
+  const updateStitchPlacementFields = () => {
+    if (!stitchPlacementSelect || !stitchPlacementCoordsField) return;
+    stitchPlacementCoordsField.style.display = stitchPlacementSelect.value === "coordinates" ? "" : "none";
+  };
+  if (stitchPlacementSelect) stitchPlacementSelect.addEventListener("change", updateStitchPlacementFields);
+  updateStitchPlacementFields();
+
+  const stitchOrderModeSelect = document.getElementById("stitchOrderMode");
+  const stitchChainField = document.getElementById("stitchChainField");
+  const stitchSeedField = document.getElementById("stitchSeedField");
+  const updateStitchOrderFields = () => {
+    if (!stitchOrderModeSelect) return;
+    if (stitchChainField) stitchChainField.style.display = stitchOrderModeSelect.value === "chain" ? "" : "none";
+    if (stitchSeedField) stitchSeedField.style.display = stitchOrderModeSelect.value === "random" ? "" : "none";
+  };
+  if (stitchOrderModeSelect) stitchOrderModeSelect.addEventListener("change", updateStitchOrderFields);
+  updateStitchOrderFields();
+
+  const seedInput = document.getElementById("stitchImportSeed");
+  const newSeedButton = document.getElementById("stitchNewSeedButton");
+  if (seedInput && !seedInput.value) seedInput.value = String(generateImportSeed());
+  if (seedInput && newSeedButton) {
+    newSeedButton.addEventListener("click", () => {
+      seedInput.value = String(generateImportSeed());
+    });
+  }
+
   const tabButtons = document.querySelectorAll(".tab-btn");
   const tabContents = {
     sorting: document.getElementById("tab-sorting"),
@@ -1485,15 +4187,42 @@ window.addEventListener("DOMContentLoaded", () => {
   const fileButton = document.getElementById("stitchFileButton");
   const fileInput = document.getElementById("stitchFolderInput");
   const fileLabel = document.getElementById("stitchFileLabel");
+  const directoryButton = document.getElementById("stitchDirectoryButton");
+  const directoryInput = document.getElementById("stitchDirectoryInput");
+  const pyramidField = document.getElementById("stitchPyramidField");
+  const pyramidLabel = document.getElementById("stitchPyramidLabel");
+  const pyramidCheckbox = document.getElementById("stitchPyramidImport");
+  const pyramidLevelField = document.getElementById("stitchPyramidLevelField");
+  const updatePyramidFields = () => {
+    if (pyramidLevelField) pyramidLevelField.style.display = pyramidCheckbox && pyramidCheckbox.checked ? "" : "none";
+  };
+  if (pyramidCheckbox) pyramidCheckbox.addEventListener("change", updatePyramidFields);
   if (fileButton && fileInput && fileLabel) {
     fileButton.addEventListener("click", () => fileInput.click());
+    if (directoryButton && directoryInput) directoryButton.addEventListener("click", () => directoryInput.click());
     const updateLabel = () => {
-      const files = fileInput.files;
+      const useDirectory = directoryInput && directoryInput.files && directoryInput.files.length > 0;
+      const files = useDirectory ? directoryInput.files : fileInput.files;
       if (!files || files.length === 0) fileLabel.textContent = "No files selected";
       else if (files.length === 1) fileLabel.textContent = files[0].name;
       else fileLabel.textContent = `${files.length} files selected`;
+
+      const pyramid = useDirectory ? detectTilePyramid(files) : null;
+      if (pyramidField) pyramidField.style.display = pyramid ? "" : "none";
+      if (pyramidCheckbox) pyramidCheckbox.checked = false;
+      updatePyramidFields();
+      if (pyramid && pyramidLabel) pyramidLabel.textContent = describeTilePyramid(pyramid);
     };
-    fileInput.addEventListener("change", updateLabel);
+    fileInput.addEventListener("change", () => {
+      if (directoryInput) directoryInput.value = "";
+      updateLabel();
+    });
+    if (directoryInput) {
+      directoryInput.addEventListener("change", () => {
+        fileInput.value = "";
+        updateLabel();
+      });
+    }
     updateLabel();
   }
 });
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+function loadApp() {
+  const context = {
+    window: { miro: { board: {} }, addEventListener() {} },
+    document: { getElementById: () => null },
+    console,
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "app.js"), "utf8"), context, { filename: "app.js" });
+  return context;
+}
+
+function createImage(id, title, x) {
+  return {
+    id,
+    type: "image",
+    title,
+    x,
+    y: 0,
+    width: 100,
+    height: 100,
+    getMetadata: async () => null,
+    setMetadata: async () => {},
+    sync: async () => {},
+  };
+}
+
+test("color sort writes a title code once for images without a title", async () => {
+  const app = loadApp();
+  let analyzed = 0;
+  app.analyzeBoardImage = async () => {
+    analyzed += 1;
+    return { satCode: 12, briCode: 345 };
+  };
+  const images = [createImage("a", "", 0), createImage("b", "photo.png", 200)];
+  const options = { sortMode: "color", colorCodeTarget: "title" };
+
+  await app.orderImagesForSorting(images, options);
+  assert.strictEqual(images[0].title, "C12/345");
+  assert.strictEqual(images[1].title, "C12/345 photo.png");
+  assert.strictEqual(analyzed, 2);
+
+  await app.orderImagesForSorting(images, options);
+  assert.strictEqual(images[0].title, "C12/345");
+  assert.strictEqual(images[1].title, "C12/345 photo.png");
+  assert.strictEqual(analyzed, 2);
+});